@@ -24,12 +24,31 @@ if [ -f "${PROJECT_DIR}/configs/.env" ]; then
 fi
 
 # Defaults
-BASE_URL="${BASE_URL:-http://localhost:8080/api/v2}"
+PROFILE="${PROFILE:-}"
+LOAD_PROFILE="${LOAD_PROFILE:-}"
+LOAD_SCALE="${LOAD_SCALE:-}"
+DURATION_SCALE="${DURATION_SCALE:-}"
+SLO_FILE="${SLO_FILE:-}"
+BREAKPOINT_P95="${BREAKPOINT_P95:-}"
+ORDER_TYPE_MIX="${ORDER_TYPE_MIX:-}"
+PAYMENT_MIX="${PAYMENT_MIX:-}"
+DELIVERY_PROFILES="${DELIVERY_PROFILES:-}"
+RIDER_REASSIGN_RATE="${RIDER_REASSIGN_RATE:-}"
+BREAKPOINT_ERROR_RATE="${BREAKPOINT_ERROR_RATE:-}"
+WEBHOOK_RATE="${WEBHOOK_RATE:-}"
+WEBHOOK_DUPLICATES="${WEBHOOK_DUPLICATES:-}"
+DUPLICATE_REQUESTS="${DUPLICATE_REQUESTS:-}"
+BASE_URL="${BASE_URL:-}"
 RESTAURANT_ID="${RESTAURANT_ID:-}"
 CUSTOMER_ID="${CUSTOMER_ID:-}"
 USER_MODE="${USER_MODE:-single}"
 USER_COUNT="${USER_COUNT:-1000}"
 ORDER_COUNT="${ORDER_COUNT:-1000}"
+AUTH_MODE="${AUTH_MODE:-none}"
+RETRY="${RETRY:-true}"
+COLLAPSE_GUARD="${COLLAPSE_GUARD:-true}"
+RUN_ID="${RUN_ID:-}"
+FAILURE_LIST_SIZE="${FAILURE_LIST_SIZE:-20}"
 DASHBOARD=false
 K6_CLOUD_TOKEN="${K6_CLOUD_TOKEN:-}"
 
@@ -41,6 +60,25 @@ show_banner() {
     echo -e "${NC}"
 }
 
+# First FAILURE lines of a k6 log: request id, status, endpoint and body of failed checks
+# (logged by recordFailure in src/utils/summary.js, logfmt when stderr is not a terminal)
+show_failures() {
+    local log=$1
+    local failures
+    failures=$(sed -n 's/.*msg="FAILURE \(.*\)" source=console$/\1/p' "$log" | sed 's/\\"/"/g')
+    [ -z "$failures" ] && return 0
+
+    local total
+    total=$(echo "$failures" | wc -l | tr -d ' ')
+    echo ""
+    if [ "$total" -gt "$FAILURE_LIST_SIZE" ]; then
+        echo "     FAILED REQUESTS (first ${FAILURE_LIST_SIZE} of ${total} logged)"
+    else
+        echo "     FAILED REQUESTS (${total} logged)"
+    fi
+    echo "$failures" | head -n "$FAILURE_LIST_SIZE" | sed 's/^/     /'
+}
+
 check_k6() {
     if ! command -v k6 &> /dev/null; then
         echo -e "${RED}Error: k6 is not installed${NC}"
@@ -53,21 +91,41 @@ check_k6() {
 run_test() {
     local test_name=$1
     local test_file=$2
+    local run_id="${RUN_ID:-${test_name}-${TIMESTAMP}}"
 
     echo -e "\n${YELLOW}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${NC}"
     echo -e "${CYAN}Running: ${test_name}${NC}"
     echo -e "${YELLOW}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${NC}"
-    echo "Target: ${BASE_URL}"
+    echo "Target: ${BASE_URL:-profile default}"
+    echo "Run ID: ${run_id}"
     echo ""
 
     # Build k6 command
     local k6_cmd="k6 run"
-    k6_cmd+=" --env BASE_URL=\"${BASE_URL}\""
+    [ -n "$PROFILE" ] && k6_cmd+=" --env PROFILE=\"${PROFILE}\""
+    [ -n "$LOAD_PROFILE" ] && k6_cmd+=" --env LOAD_PROFILE=\"${LOAD_PROFILE}\""
+    [ -n "$LOAD_SCALE" ] && k6_cmd+=" --env LOAD_SCALE=\"${LOAD_SCALE}\""
+    [ -n "$DURATION_SCALE" ] && k6_cmd+=" --env DURATION_SCALE=\"${DURATION_SCALE}\""
+    [ -n "$SLO_FILE" ] && k6_cmd+=" --env SLO_FILE=\"${SLO_FILE}\""
+    [ -n "$ORDER_TYPE_MIX" ] && k6_cmd+=" --env ORDER_TYPE_MIX=\"${ORDER_TYPE_MIX}\""
+    [ -n "$PAYMENT_MIX" ] && k6_cmd+=" --env PAYMENT_MIX=\"${PAYMENT_MIX}\""
+    [ -n "$DELIVERY_PROFILES" ] && k6_cmd+=" --env DELIVERY_PROFILES=\"${DELIVERY_PROFILES}\""
+    [ -n "$RIDER_REASSIGN_RATE" ] && k6_cmd+=" --env RIDER_REASSIGN_RATE=\"${RIDER_REASSIGN_RATE}\""
+    [ -n "$BREAKPOINT_P95" ] && k6_cmd+=" --env BREAKPOINT_P95=\"${BREAKPOINT_P95}\""
+    [ -n "$BREAKPOINT_ERROR_RATE" ] && k6_cmd+=" --env BREAKPOINT_ERROR_RATE=\"${BREAKPOINT_ERROR_RATE}\""
+    [ -n "$WEBHOOK_RATE" ] && k6_cmd+=" --env WEBHOOK_RATE=\"${WEBHOOK_RATE}\""
+    [ -n "$WEBHOOK_DUPLICATES" ] && k6_cmd+=" --env WEBHOOK_DUPLICATES=\"${WEBHOOK_DUPLICATES}\""
+    [ -n "$DUPLICATE_REQUESTS" ] && k6_cmd+=" --env DUPLICATE_REQUESTS=\"${DUPLICATE_REQUESTS}\""
+    [ -n "$BASE_URL" ] && k6_cmd+=" --env BASE_URL=\"${BASE_URL}\""
     k6_cmd+=" --env RESTAURANT_ID=\"${RESTAURANT_ID}\""
     k6_cmd+=" --env CUSTOMER_ID=\"${CUSTOMER_ID}\""
     k6_cmd+=" --env USER_MODE=\"${USER_MODE}\""
     k6_cmd+=" --env USER_COUNT=\"${USER_COUNT}\""
     k6_cmd+=" --env ORDER_COUNT=\"${ORDER_COUNT}\""
+    k6_cmd+=" --env AUTH_MODE=\"${AUTH_MODE}\""
+    k6_cmd+=" --env RETRY=\"${RETRY}\""
+    k6_cmd+=" --env COLLAPSE_GUARD=\"${COLLAPSE_GUARD}\""
+    k6_cmd+=" --env RUN_ID=\"${run_id}\""
     k6_cmd+=" --env REPORT_NAME=\"${test_name}\""
 
     # Add cloud output if token is provided
@@ -77,16 +135,24 @@ run_test() {
         export K6_CLOUD_TOKEN
     fi
 
+    # Keep a copy of the k6 log to list the failed requests after the summary
+    local k6_log
+    k6_log=$(mktemp)
+
     if [ "$DASHBOARD" = true ]; then
         echo -e "${BLUE}Dashboard: http://localhost:5665${NC}"
         k6_cmd+=" --out web-dashboard"
         K6_WEB_DASHBOARD=true \
-        eval $k6_cmd "\"${K6_DIR}/${test_file}\""
+        eval $k6_cmd "\"${K6_DIR}/${test_file}\"" 2> >(tee "$k6_log" >&2)
     else
-        eval $k6_cmd "\"${K6_DIR}/${test_file}\""
+        eval $k6_cmd "\"${K6_DIR}/${test_file}\"" 2> >(tee "$k6_log" >&2)
     fi
 
     local code=$?
+    wait $! 2>/dev/null || true
+
+    show_failures "$k6_log"
+    rm -f "$k6_log"
 
     echo ""
     if [ $code -eq 0 ]; then
@@ -122,18 +188,45 @@ show_help() {
     echo -e "  ${GREEN}Integration Tests:${NC}"
     echo "    user-journey     Complete user flow test (10 min)"
     echo "    lifecycle        Full order lifecycle test (15 min)"
+    echo "    cancellation     Cancel orders at every lifecycle stage (5 min)"
+    echo "    webhook          Duplicate / out-of-order payment webhooks (5 min)"
+    echo "    idempotency      Double-tapped creates, retried verify / delivery callbacks (5 min)"
+    echo "    delivery-callbacks  Shuffled / skipped / repeated / unknown delivery callbacks (5 min)"
+    echo "    pos-status       PetPooja POS status codes, invalid codes and late rejections (5 min)"
     echo ""
     echo -e "  ${GREEN}Load Tests:${NC}"
     echo "    load             Mixed realistic traffic (20 min)"
     echo "    stress           System breaking point (15 min)"
+    echo "    spike            Lunch-rush burst + recovery time (9 min)"
+    echo "    soak             Mixed traffic for hours + drift report (2 h)"
+    echo "    throughput       Open-model orders/minute (9 min)"
+    echo "    breakpoint       Step arrival rate until the SLO breaks (up to 27 min)"
     echo ""
     echo -e "${CYAN}Options:${NC}"
-    echo "    --url URL          API base URL (default: localhost:8080/api/v2)"
+    echo "    --url URL          API base URL (default: localhost:8080/api/v2, or the profile URL)"
+    echo "    --profile NAME     Environment profile: local|staging|perf-cluster"
+    echo "    --load NAME        Load shape: smoke|load|stress|spike|soak|order_flow"
+    echo "    --load-scale X     Multiply VU / arrival-rate targets (default: profile factor)"
+    echo "    --duration-scale X Multiply stage durations (default: 1)"
+    echo "    --slo FILE         SLO file to apply (default: src/slo/<profile>.json)"
+    echo "    --slo-p95 MS       Breakpoint step SLO: p95 latency (default: 2000)"
+    echo "    --slo-errors RATE  Breakpoint step SLO: error rate (default: 0.05)"
+    echo "    --webhook-rate N   Webhook test: orders/s whose webhooks are stormed (default: 10)"
+    echo "    --webhook-duplicates N  Webhook test: deliveries of a duplicated event (default: 3)"
+    echo "    --duplicates N     Idempotency test: copies of each repeated request (default: 3)"
     echo "    --restaurant ID    Restaurant ID (required for most tests)"
     echo "    --customer ID      Customer ID"
     echo "    --mode single|multi  User mode for lifecycle test"
+    echo "    --order-types MIX  Order type mix, e.g. delivery:70,pickup:20,dine_in:10 (default: delivery:100)"
+    echo "    --payments MIX     Payment type mix, e.g. CREDIT:50,UPI:30,COD:20 (default: CREDIT:100)"
+    echo "    --delivery-profiles MIX  Delivery callback sequences, e.g. minimal:50,with_transit:50 (default: minimal)"
+    echo "    --rider-reassign RATE  Share of delivery orders whose rider is replaced mid-trip (default: 0.25)"
     echo "    --users N          Users in pool (default: 1000)"
     echo "    --orders N         Orders to create (default: 1000)"
+    echo "    --auth none|jwt    Send Bearer token from verify-otp (default: none)"
+    echo "    --no-retry         Disable retries of transient failures"
+    echo "    --no-guard         Disable the collapse guard of stress runs"
+    echo "    --run-id ID        X-Load-Test-Run header value (default: <test>-<timestamp>)"
     echo "    --dashboard        Open web dashboard at localhost:5665"
     echo "    --cloud TOKEN      Publish results to Grafana Cloud k6"
     echo ""
@@ -141,6 +234,10 @@ show_help() {
     echo "    $0 smoke --restaurant 324672"
     echo "    $0 load --restaurant 324672 --cloud YOUR_TOKEN"
     echo "    $0 stress --restaurant 324672 --dashboard"
+    echo "    $0 load --profile staging --restaurant 324672"
+    echo "    $0 menu-stress --restaurant 324672 --load soak"
+    echo "    $0 stress --restaurant 324672 --load-scale 0.2 --duration-scale 0.5"
+    echo "    $0 breakpoint --restaurant 324672 --slo-p95 1000 --slo-errors 0.01"
     echo ""
     echo -e "${CYAN}Environment Variables:${NC}"
     echo "    K6_CLOUD_TOKEN     Set this to auto-publish to Grafana Cloud"
@@ -153,11 +250,29 @@ show_help() {
 while [[ $# -gt 0 ]]; do
     case $1 in
         --url) BASE_URL="$2"; shift 2 ;;
+        --profile) PROFILE="$2"; shift 2 ;;
+        --load) LOAD_PROFILE="$2"; shift 2 ;;
+        --load-scale) LOAD_SCALE="$2"; shift 2 ;;
+        --duration-scale) DURATION_SCALE="$2"; shift 2 ;;
+        --slo) SLO_FILE="$(cd "$(dirname "$2")" && pwd)/$(basename "$2")"; shift 2 ;;
+        --slo-p95) BREAKPOINT_P95="$2"; shift 2 ;;
+        --slo-errors) BREAKPOINT_ERROR_RATE="$2"; shift 2 ;;
+        --webhook-rate) WEBHOOK_RATE="$2"; shift 2 ;;
+        --webhook-duplicates) WEBHOOK_DUPLICATES="$2"; shift 2 ;;
+        --duplicates) DUPLICATE_REQUESTS="$2"; shift 2 ;;
         --restaurant) RESTAURANT_ID="$2"; shift 2 ;;
         --customer) CUSTOMER_ID="$2"; shift 2 ;;
         --mode) USER_MODE="$2"; shift 2 ;;
+        --order-types) ORDER_TYPE_MIX="$2"; shift 2 ;;
+        --payments) PAYMENT_MIX="$2"; shift 2 ;;
+        --delivery-profiles) DELIVERY_PROFILES="$2"; shift 2 ;;
+        --rider-reassign) RIDER_REASSIGN_RATE="$2"; shift 2 ;;
         --users) USER_COUNT="$2"; shift 2 ;;
         --orders) ORDER_COUNT="$2"; shift 2 ;;
+        --auth) AUTH_MODE="$2"; shift 2 ;;
+        --no-retry) RETRY=false; shift ;;
+        --no-guard) COLLAPSE_GUARD=false; shift ;;
+        --run-id) RUN_ID="$2"; shift 2 ;;
         --dashboard) DASHBOARD=true; shift ;;
         --cloud) K6_CLOUD_TOKEN="$2"; shift 2 ;;
         --help|-h) show_help; exit 0 ;;
@@ -165,14 +280,36 @@ while [[ $# -gt 0 ]]; do
     esac
 done
 
+# Without a profile, keep targeting a local backend unless --url is given
+if [ -z "$PROFILE" ]; then
+    BASE_URL="${BASE_URL:-http://localhost:8080/api/v2}"
+fi
+
 show_banner
 check_k6
 
 echo -e "${BLUE}Configuration:${NC}"
-echo "  URL: ${BASE_URL}"
+[ -n "$PROFILE" ] && echo "  Profile: ${PROFILE}"
+[ -n "$LOAD_PROFILE" ] && echo "  Load shape: ${LOAD_PROFILE}"
+[ -n "$LOAD_SCALE" ] && echo "  Load scale: x${LOAD_SCALE}"
+[ -n "$DURATION_SCALE" ] && echo "  Duration scale: x${DURATION_SCALE}"
+[ -n "$SLO_FILE" ] && echo "  SLO file: ${SLO_FILE}"
+[ -n "$BREAKPOINT_P95" ] && echo "  Breakpoint p95 SLO: ${BREAKPOINT_P95}ms"
+[ -n "$BREAKPOINT_ERROR_RATE" ] && echo "  Breakpoint error SLO: ${BREAKPOINT_ERROR_RATE}"
+[ -n "$WEBHOOK_RATE" ] && echo "  Webhook rate: ${WEBHOOK_RATE} orders/s"
+[ -n "$WEBHOOK_DUPLICATES" ] && echo "  Webhook duplicates: ${WEBHOOK_DUPLICATES}"
+[ -n "$DUPLICATE_REQUESTS" ] && echo "  Duplicate requests: ${DUPLICATE_REQUESTS}"
+echo "  URL: ${BASE_URL:-profile default}"
 echo "  Restaurant: ${RESTAURANT_ID:-not set}"
 [ -n "$CUSTOMER_ID" ] && echo "  Customer: ${CUSTOMER_ID}"
+[ -n "$ORDER_TYPE_MIX" ] && echo "  Order types: ${ORDER_TYPE_MIX}"
+[ -n "$PAYMENT_MIX" ] && echo "  Payment types: ${PAYMENT_MIX}"
+[ -n "$DELIVERY_PROFILES" ] && echo "  Delivery profiles: ${DELIVERY_PROFILES}"
+[ -n "$RIDER_REASSIGN_RATE" ] && echo "  Rider reassign rate: ${RIDER_REASSIGN_RATE}"
 [ "${USER_MODE}" = "multi" ] && echo "  Mode: ${USER_MODE} (Users: ${USER_COUNT}, Orders: ${ORDER_COUNT})"
+[ "$AUTH_MODE" != "none" ] && echo "  Auth: ${AUTH_MODE}"
+[ "$RETRY" = false ] && echo "  Retries: disabled"
+[ "$COLLAPSE_GUARD" = false ] && echo "  Collapse guard: disabled"
 [ "$DASHBOARD" = true ] && echo "  Dashboard: enabled"
 [ -n "$K6_CLOUD_TOKEN" ] && echo "  Cloud: enabled (Grafana Cloud)"
 
@@ -206,6 +343,21 @@ case "${COMMAND:-help}" in
     lifecycle)
         run_test "lifecycle" "scenarios/order-lifecycle-test.js"
         ;;
+    cancellation)
+        run_test "cancellation" "scenarios/order-cancellation-test.js"
+        ;;
+    webhook)
+        run_test "webhook" "scenarios/payment-webhook-test.js"
+        ;;
+    idempotency)
+        run_test "idempotency" "scenarios/idempotency-test.js"
+        ;;
+    delivery-callbacks)
+        run_test "delivery-callbacks" "scenarios/delivery-callback-test.js"
+        ;;
+    pos-status)
+        run_test "pos-status" "scenarios/pos-status-test.js"
+        ;;
 
     # Load Tests
     load)
@@ -214,6 +366,18 @@ case "${COMMAND:-help}" in
     stress)
         run_test "stress" "scenarios/stress-test.js"
         ;;
+    spike)
+        run_test "spike" "scenarios/spike-test.js"
+        ;;
+    soak)
+        run_test "soak" "scenarios/soak-test.js"
+        ;;
+    throughput)
+        run_test "throughput" "scenarios/order-throughput-test.js"
+        ;;
+    breakpoint)
+        run_test "breakpoint" "scenarios/breakpoint-test.js"
+        ;;
 
     # Help
     *)
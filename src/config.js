@@ -1,39 +1,178 @@
 /**
  * K6 Load Testing Configuration
- * HYP Backend API - Main Branch (No Auth)
+ * HYP Backend API - Main Branch (No Auth) / JWT branches (AUTH_MODE=jwt)
  */
 
+// Environment Profiles - select with PROFILE=<name>
+// A profile is the environment (base URL, load factor); its SLOs are in src/slo/<name>.json.
+// Restaurant and customer ids are test data and always come from RESTAURANT_ID / CUSTOMER_ID.
+// An explicit BASE_URL / LOAD_SCALE wins over the profile
+export const PROFILES = {
+    // No PROFILE set: shared test box, full load
+    default: {
+        BASE_URL: 'http://212.38.94.145:30569/api/v2',
+        LOAD_SCALE: 1,
+    },
+    // Backend running on the developer machine
+    local: {
+        BASE_URL: 'http://localhost:8080/api/v2',
+        LOAD_SCALE: 0.1,
+    },
+    // Single-node staging box - lower capacity than the perf cluster
+    staging: {
+        BASE_URL: 'http://212.38.94.145:30569/api/v2',
+        LOAD_SCALE: 0.5,
+    },
+    // Production-sized cluster - base URL differs per deployment, pass BASE_URL
+    'perf-cluster': {
+        BASE_URL: '',
+        LOAD_SCALE: 1,
+    },
+};
+
+const PROFILE_NAME = (__ENV.PROFILE || 'default').toLowerCase();
+
+if (!PROFILES[PROFILE_NAME]) {
+    throw new Error(`Unknown PROFILE '${PROFILE_NAME}' (expected one of: ${Object.keys(PROFILES).join(', ')})`);
+}
+
+const PROFILE = PROFILES[PROFILE_NAME];
+
+const AUTH_MODES = ['none', 'jwt'];
+const AUTH_MODE = (__ENV.AUTH_MODE || 'none').toLowerCase();
+
+if (!AUTH_MODES.includes(AUTH_MODE)) {
+    throw new Error(`Unknown AUTH_MODE '${AUTH_MODE}' (expected one of: ${AUTH_MODES.join(', ')})`);
+}
+
+/**
+ * Parse a weighted mix such as 'delivery:70,pickup:20,dine_in:10'
+ * A name without a weight counts as weight 1, so 'pickup' alone selects only pickup.
+ * @param {string} name - Env var name (for error messages)
+ * @param {string} spec - Comma-separated name:weight pairs
+ * @param {Array<string>} allowed - Valid names
+ * @returns {Array<{ name: string, weight: number }>} Weights normalized to sum to 1
+ */
+function parseMix(name, spec, allowed) {
+    const entries = spec.split(',').map((part) => {
+        const [key, weight = '1'] = part.split(':').map((s) => s.trim());
+        if (!allowed.includes(key) || !(parseFloat(weight) >= 0)) {
+            throw new Error(`Invalid ${name} entry '${part}' (expected <${allowed.join('|')}>:<weight>)`);
+        }
+        return { name: key, weight: parseFloat(weight) };
+    });
+
+    const total = entries.reduce((sum, e) => sum + e.weight, 0);
+    if (!(total > 0)) {
+        throw new Error(`${name} needs at least one positive weight`);
+    }
+    return entries.map((e) => ({ name: e.name, weight: e.weight / total }));
+}
+
 // Environment Configuration
 export const CONFIG = {
-    // API Settings - v2 endpoints, no authentication
-    BASE_URL: __ENV.BASE_URL || 'http://212.38.94.145:30569/api/v2',
+    // Active environment profile (see PROFILES)
+    PROFILE: PROFILE_NAME,
+
+    // API Settings - v2 endpoints
+    BASE_URL: __ENV.BASE_URL || PROFILE.BASE_URL,
+
+    // Auth mode: 'none' = no Authorization header (main branch)
+    //            'jwt'  = Bearer token captured from /login/verify-otp (JWT branches)
+    AUTH_MODE: AUTH_MODE,
 
     // Test Data - Set these from environment or use defaults
     RESTAURANT_ID: __ENV.RESTAURANT_ID || '',
     CUSTOMER_ID: __ENV.CUSTOMER_ID || '',
 
+    // Stage multipliers (see scaleScenario): LOAD_SCALE for VU / arrival-rate targets
+    // (defaults to the active profile's factor), DURATION_SCALE for stage durations
+    LOAD_SCALE: parseFloat(__ENV.LOAD_SCALE || PROFILE.LOAD_SCALE),
+    DURATION_SCALE: parseFloat(__ENV.DURATION_SCALE || '1'),
+
     // User mode: 'single' = one user, 'multi' = pool of users
     USER_MODE: __ENV.USER_MODE || 'single',
     USER_COUNT: parseInt(__ENV.USER_COUNT || '1000'),
     ORDER_COUNT: parseInt(__ENV.ORDER_COUNT || '1000'),
 
+    // Order types placed by order flows (delivery | pickup | dine_in), weighted
+    // e.g. ORDER_TYPE_MIX='delivery:70,pickup:20,dine_in:10'
+    ORDER_TYPE_MIX: parseMix('ORDER_TYPE_MIX', __ENV.ORDER_TYPE_MIX || 'delivery:100', ['delivery', 'pickup', 'dine_in']),
+
+    // Payment types of those orders (CREDIT | COD | CARD | UPI), weighted - COD skips online payment
+    // e.g. PAYMENT_MIX='CREDIT:50,UPI:30,COD:20'
+    PAYMENT_MIX: parseMix('PAYMENT_MIX', __ENV.PAYMENT_MIX || 'CREDIT:100', ['CREDIT', 'COD', 'CARD', 'UPI']),
+
+    // Delivery callback sequences (minimal | full | with_transit, see DELIVERY_SEQUENCE_PROFILES),
+    // weighted across VUs - e.g. DELIVERY_PROFILES='full' or 'minimal:50,with_transit:50'
+    DELIVERY_PROFILES: parseMix('DELIVERY_PROFILES', __ENV.DELIVERY_PROFILES || 'minimal', ['minimal', 'full', 'with_transit']),
+
+    // Share of delivery orders (0-1) whose rider drops the trip after OUT_FOR_PICKUP
+    // and is replaced by another one (order-lifecycle-test.js)
+    RIDER_REASSIGN_RATE: parseFloat(__ENV.RIDER_REASSIGN_RATE || '0.25'),
+
+    // Copies of each repeated request in idempotency-test.js (double taps / client and gateway retries)
+    DUPLICATE_REQUESTS: parseInt(__ENV.DUPLICATE_REQUESTS || '3'),
+
     // Fixed OTP for load testing (when env=load on backend)
     LOAD_TEST_OTP: 123456,
 
     // Request settings
     REQUEST_TIMEOUT: '30s',
 
-    // Thresholds (adjust based on your environment)
+    // Retry transient failures (see RETRY_POLICIES); RETRY=false disables all retries
+    RETRY_ENABLED: __ENV.RETRY !== 'false',
+
+    // Pagination for list endpoints (see paginate() in helpers.js)
+    PAGE_SIZE: parseInt(__ENV.PAGE_SIZE || '20'),
+    MAX_PAGED_ITEMS: parseInt(__ENV.MAX_PAGED_ITEMS || '500'),
+
+    // Load shape: run any test with a SCENARIOS entry instead of its own default
+    // (smoke | load | stress | spike | soak | order_flow; empty = test default)
+    LOAD_PROFILE: (__ENV.LOAD_PROFILE || '').toLowerCase(),
+
+    // Correlation: sent as X-Load-Test-Run on every request when set
+    RUN_ID: __ENV.RUN_ID || '',
+
+    // Failure catalog: FAILURE log lines per failed check (see recordFailure in summary.js)
+    FAILURE_CATALOG_PER_VU: 5,        // Max lines logged per VU
+    FAILURE_BODY_LENGTH: 200,         // Response body chars kept
+
+    // Abort-on-collapse guard for stress / breakpoint runs (see utils/collapse-guard.js)
+    COLLAPSE_GUARD: __ENV.COLLAPSE_GUARD !== 'false',
+    COLLAPSE: {
+        WINDOW: 50,                   // Last N responses per VU checked live
+        MIN_SAMPLES: 20,              // Responses needed in the window before judging
+        ERROR_RATE: parseFloat(__ENV.COLLAPSE_ERROR_RATE || '0.5'),      // Status 0 / 5xx share
+        TIMEOUT_RATE: parseFloat(__ENV.COLLAPSE_TIMEOUT_RATE || '0.3'),  // Status 0 share
+        ABORT_DELAY: '1m',            // delayAbortEval of the abortOnFail thresholds
+    },
+
+    // Capacity search (breakpoint-test.js): arrival rate steps up until the SLO breaks
+    BREAKPOINT: {
+        START_RATE: parseInt(__ENV.BREAKPOINT_START_RATE || '5'),  // Iterations/s of the first step
+        STEP_RATE: parseInt(__ENV.BREAKPOINT_STEP_RATE || '5'),    // Added per step
+        MAX_STEPS: parseInt(__ENV.BREAKPOINT_MAX_STEPS || '12'),
+        STEP_DURATION: __ENV.BREAKPOINT_STEP_DURATION || '2m',     // Hold per step (judged)
+        RAMP_DURATION: '15s',                                       // Between steps (not judged)
+        JUDGE_DELAY: '30s',           // Samples of a step before its SLO can abort the run
+        P95: parseInt(__ENV.BREAKPOINT_P95 || '2000'),              // SLO: p95 latency (ms) per step
+        ERROR_RATE: parseFloat(__ENV.BREAKPOINT_ERROR_RATE || '0.05'),  // SLO: http_req_failed per step
+    },
+
+    // Payment webhook storm (payment-webhook-test.js)
+    WEBHOOK: {
+        RATE: parseInt(__ENV.WEBHOOK_RATE || '10'),              // Orders/s whose webhooks are stormed
+        DUPLICATES: parseInt(__ENV.WEBHOOK_DUPLICATES || '3'),   // Deliveries of a duplicated event
+    },
+
+    // Thresholds (adjust based on your environment - PROFILE overrides are merged in)
+    // Run-wide http_req_duration / http_req_failed / checks SLOs live in src/slo/*.json
     THRESHOLDS: {
-        // Response Time Thresholds
-        HTTP_REQ_DURATION_P50: 500,   // 500ms - median
-        HTTP_REQ_DURATION_P90: 1500,  // 1.5 seconds
+        // Per-endpoint latency defaults (ENDPOINT_SLOS.DEFAULT)
         HTTP_REQ_DURATION_P95: 2000,  // 2 seconds
         HTTP_REQ_DURATION_P99: 3000,  // 3 seconds
 
-        // Error Rate
-        ERROR_RATE: 0.01,             // 1% max error rate
-
         // Operation-specific thresholds
         MENU_FETCH_P95: 1000,         // 1 second
         LOGIN_P95: 1500,              // 1.5 seconds
@@ -50,6 +189,46 @@ export const CONFIG = {
     }
 };
 
+if (!CONFIG.BASE_URL) {
+    throw new Error(`PROFILE '${PROFILE_NAME}' has no base URL - set BASE_URL`);
+}
+
+for (const key of ['LOAD_SCALE', 'DURATION_SCALE']) {
+    if (!(CONFIG[key] > 0)) {
+        throw new Error(`${key} must be a positive number`);
+    }
+}
+
+// Retry policies per endpoint class
+// GET/DELETE use 'idempotent', POST/PATCH use 'nonIdempotent' unless a call passes params.retry
+// maxRetryAfterMs: longest Retry-After honoured - a throttling backend asking for more is not retried
+export const RETRY_POLICIES = {
+    // Safe to repeat: retry timeouts (status 0), throttling and gateway errors
+    idempotent: {
+        maxRetries: 3,
+        baseDelayMs: 200,
+        maxDelayMs: 3000,
+        maxRetryAfterMs: 30000,
+        retryOn: [0, 429, 502, 503, 504],
+    },
+    // Not safe to repeat (e.g. ORDER_CREATE): only retry when the backend
+    // rejected the request before processing it
+    nonIdempotent: {
+        maxRetries: 2,
+        baseDelayMs: 500,
+        maxDelayMs: 5000,
+        maxRetryAfterMs: 30000,
+        retryOn: [429, 503],
+    },
+    none: {
+        maxRetries: 0,
+        baseDelayMs: 0,
+        maxDelayMs: 0,
+        maxRetryAfterMs: 30000,     // Base for params.retry objects
+        retryOn: [],
+    },
+};
+
 // Test Scenarios
 export const SCENARIOS = {
     smoke: {
@@ -108,20 +287,164 @@ export const SCENARIOS = {
     },
 };
 
-// Base thresholds (always valid - use built-in k6 metrics only)
-export const THRESHOLDS = {
-    // Response Time Percentiles
-    http_req_duration: [
-        `p(50)<${CONFIG.THRESHOLDS.HTTP_REQ_DURATION_P50}`,   // Median
-        `p(90)<${CONFIG.THRESHOLDS.HTTP_REQ_DURATION_P90}`,   // 90th percentile
-        `p(95)<${CONFIG.THRESHOLDS.HTTP_REQ_DURATION_P95}`,   // 95th percentile
-        `p(99)<${CONFIG.THRESHOLDS.HTTP_REQ_DURATION_P99}`,   // 99th percentile
-    ],
-    // Error Rate
-    http_req_failed: [`rate<${CONFIG.THRESHOLDS.ERROR_RATE}`],
-    // Check Success Rate
-    checks: ['rate>0.95'],
-};
+if (CONFIG.LOAD_PROFILE && !SCENARIOS[CONFIG.LOAD_PROFILE]) {
+    throw new Error(`Unknown LOAD_PROFILE '${CONFIG.LOAD_PROFILE}' (expected one of: ${Object.keys(SCENARIOS).join(', ')})`);
+}
+
+// ============================================
+// STAGE TRANSFORMER (LOAD_SCALE / DURATION_SCALE)
+// ============================================
+
+// Executor fields holding VU counts or arrival rates (scaled by LOAD_SCALE)
+const LOAD_FIELDS = ['vus', 'startVUs', 'preAllocatedVUs', 'maxVUs', 'rate', 'startRate'];
+
+const DURATION_UNITS = { h: 3600, m: 60, s: 1, ms: 0.001 };
+
+// Parse a k6 duration ('30s', '1m30s', '2h') into seconds
+export function parseDuration(duration) {
+    let seconds = 0;
+    const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+    let match;
+    while ((match = pattern.exec(duration)) !== null) {
+        seconds += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+    }
+    return seconds;
+}
+
+// Format seconds as a k6 duration, e.g. 90 -> '1m30s'
+export function formatDuration(seconds) {
+    let remaining = Math.max(1, Math.round(seconds));
+    let out = '';
+    for (const [unit, size] of [['h', 3600], ['m', 60], ['s', 1]]) {
+        const count = Math.floor(remaining / size);
+        if (count > 0) {
+            out += `${count}${unit}`;
+            remaining -= count * size;
+        }
+    }
+    return out;
+}
+
+/**
+ * Planned run time of a scenario in seconds (sum of stages, or duration / maxDuration)
+ */
+export function scenarioDuration(scenario) {
+    if (scenario.stages) {
+        return scenario.stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0);
+    }
+    return parseDuration(scenario.duration || scenario.maxDuration || '0s');
+}
+
+/**
+ * Iterations an arrival-rate scenario is planned to start (rate ramps linearly between stage targets)
+ * @returns {number|null} null for VU-based executors (closed model)
+ */
+export function plannedIterations(scenario) {
+    const timeUnitSeconds = parseDuration(scenario.timeUnit || '1s');
+
+    if (scenario.executor === 'constant-arrival-rate') {
+        return (scenario.rate * parseDuration(scenario.duration)) / timeUnitSeconds;
+    }
+    if (scenario.executor !== 'ramping-arrival-rate') {
+        return null;
+    }
+
+    let rate = scenario.startRate || 0;
+    let total = 0;
+    for (const stage of scenario.stages) {
+        total += ((rate + stage.target) / 2) * parseDuration(stage.duration) / timeUnitSeconds;
+        rate = stage.target;
+    }
+    return total;
+}
+
+// Non-zero loads never scale below 1 (a scaled-down stage still runs)
+function scaleLoad(value) {
+    return value > 0 ? Math.max(1, Math.round(value * CONFIG.LOAD_SCALE)) : value;
+}
+
+/**
+ * Apply LOAD_SCALE to VU / arrival-rate targets and DURATION_SCALE to stage
+ * durations. Works for every executor; iteration counts and maxDuration are kept,
+ * shared-iterations VUs are capped at the iteration count.
+ * @param {object} scenario - k6 scenario definition (not modified)
+ * @returns {object} Scaled copy
+ */
+export function scaleScenario(scenario) {
+    const scaled = JSON.parse(JSON.stringify(scenario));
+
+    for (const field of LOAD_FIELDS) {
+        if (scaled[field] !== undefined) {
+            scaled[field] = scaleLoad(scaled[field]);
+        }
+    }
+    if (scaled.duration) {
+        scaled.duration = formatDuration(parseDuration(scaled.duration) * CONFIG.DURATION_SCALE);
+    }
+    if (scaled.stages) {
+        scaled.stages = scaled.stages.map((stage) => ({
+            duration: formatDuration(parseDuration(stage.duration) * CONFIG.DURATION_SCALE),
+            target: scaleLoad(stage.target),
+        }));
+    }
+    // A scaled-down arrival rate can still need its pre-allocated VUs
+    if (scaled.maxVUs !== undefined && scaled.maxVUs < scaled.preAllocatedVUs) {
+        scaled.maxVUs = scaled.preAllocatedVUs;
+    }
+    // k6 rejects shared-iterations with more VUs than iterations
+    if (scaled.executor === 'shared-iterations' && scaled.vus !== undefined && scaled.iterations !== undefined) {
+        scaled.vus = Math.min(scaled.vus, scaled.iterations);
+    }
+
+    return scaled;
+}
+
+/**
+ * Resolve the executor for a test: the SCENARIOS entry named by LOAD_PROFILE,
+ * or the test's own default when LOAD_PROFILE is not set. Scaled by scaleScenario().
+ * @param {object} defaultScenario - Scenario the test uses without LOAD_PROFILE
+ */
+export function selectScenario(defaultScenario) {
+    return scaleScenario(CONFIG.LOAD_PROFILE ? SCENARIOS[CONFIG.LOAD_PROFILE] : defaultScenario);
+}
+
+// One line per scenario, e.g. 'ramping-vus: 30s→25, 1m→50 VUs (1m30s)'
+function describeScenario(scenario) {
+    const unit = scenario.executor.includes('arrival-rate')
+        ? `iterations/${scenario.timeUnit || '1s'}`
+        : 'VUs';
+
+    if (scenario.stages) {
+        const steps = scenario.stages.map((stage) => `${stage.duration}→${stage.target}`).join(', ');
+        return `${scenario.executor}: ${steps} ${unit} (${formatDuration(scenarioDuration(scenario))})`;
+    }
+
+    const parts = [];
+    if (scenario.rate !== undefined) parts.push(`${scenario.rate} ${unit}`);
+    else if (scenario.vus !== undefined) parts.push(`${scenario.vus} VUs`);
+    if (scenario.iterations !== undefined) parts.push(`${scenario.iterations} iterations`);
+    if (scenario.duration) parts.push(`for ${scenario.duration}`);
+    if (scenario.maxDuration) parts.push(`max ${scenario.maxDuration}`);
+    return `${scenario.executor}: ${parts.join(', ')}`;
+}
+
+function describeStart(scenario) {
+    return scenario.startTime ? ` (starts at ${scenario.startTime})` : '';
+}
+
+/**
+ * Effective load plan of a test, for the setup() banner
+ * @param {object} scenarios - options.scenarios of the test
+ * @returns {string}
+ */
+export function describeLoadPlan(scenarios) {
+    const lines = [`Load plan (load x${CONFIG.LOAD_SCALE}, duration x${CONFIG.DURATION_SCALE}` +
+        `${CONFIG.LOAD_PROFILE ? `, shape: ${CONFIG.LOAD_PROFILE}` : ''}):`];
+    for (const [name, scenario] of Object.entries(scenarios)) {
+        lines.push(`  ${name} - ${describeScenario(scenario)}${describeStart(scenario)}`);
+    }
+    return lines.join('\n');
+}
 
 // Extended thresholds for tests that define custom metrics
 // Use these only in tests that create the corresponding Trend metrics
@@ -131,12 +454,122 @@ export const CUSTOM_THRESHOLDS = {
     payment_duration: `p(95)<${CONFIG.THRESHOLDS.PAYMENT_P95}`,
 };
 
+// ============================================
+// SLO FILES (src/slo/*.json)
+// ============================================
+
+// Thresholds in k6 syntax: "metric": ["p(95)<2000", { "threshold": "rate<0.05", "abortOnFail": true, "delayAbortEval": "1m" }]
+//   global - built-in metrics (base http_req_duration / http_req_failed / checks), applied to every test
+//   tests  - keyed by the test's scenario name (e.g. order_lifecycle), may use its custom metrics
+//   endpoints - per-endpoint latency SLOs in ms, e.g. "ORDER_CREATE": { "p95": 4000 } (see ENDPOINT_SLOS)
+// default.json is always loaded; <PROFILE>.json (or SLO_FILE) overrides it per metric
+function loadSloFile(path) {
+    let slo;
+    try {
+        slo = JSON.parse(open(path));
+    } catch (e) {
+        throw new Error(`Cannot load SLO file ${path}: ${e.message}`);
+    }
+
+    const sections = [slo.global || {}, ...Object.values(slo.tests || {})];
+    for (const section of sections) {
+        for (const [metric, rules] of Object.entries(section)) {
+            const valid = Array.isArray(rules) && rules.every((rule) =>
+                typeof rule === 'string' || (rule && typeof rule.threshold === 'string'));
+            if (!valid) {
+                throw new Error(`Invalid SLO for ${metric} in ${path}: expected a list of strings or { threshold } objects`);
+            }
+        }
+    }
+
+    for (const [key, limits] of Object.entries(slo.endpoints || {})) {
+        const valid = limits && Object.entries(limits).every(([stat, value]) =>
+            ['p95', 'p99'].includes(stat) && typeof value === 'number');
+        if (!valid) {
+            throw new Error(`Invalid endpoint SLO for ${key} in ${path}: expected { "p95": ms, "p99": ms }`);
+        }
+    }
+
+    return { global: slo.global || {}, tests: slo.tests || {}, endpoints: slo.endpoints || {} };
+}
+
+const SLO_DEFAULT_PATH = import.meta.resolve('./slo/default.json');
+const SLO_PATH = __ENV.SLO_FILE || import.meta.resolve(`./slo/${PROFILE_NAME}.json`);
+
+const SLO_BASE = loadSloFile(SLO_DEFAULT_PATH);
+const SLO_OVERRIDES = SLO_PATH === SLO_DEFAULT_PATH ? { global: {}, tests: {}, endpoints: {} } : loadSloFile(SLO_PATH);
+
+// SLO file in effect (shown in setup banners)
+export const SLO_SOURCE = __ENV.SLO_FILE || `slo/${PROFILE_NAME}.json`;
+
+/**
+ * Thresholds from the SLO files for one test: global entries plus the test's own section
+ * Spread last in options.thresholds so the SLO file wins over compiled defaults.
+ * An empty list in a test section drops that global entry for the test.
+ * @param {string} testName - Scenario name used as key under "tests"
+ */
+export function sloThresholds(testName) {
+    const merged = {
+        ...SLO_BASE.global,
+        ...SLO_OVERRIDES.global,
+        ...(SLO_BASE.tests[testName] || {}),
+        ...(SLO_OVERRIDES.tests[testName] || {}),
+    };
+    return Object.fromEntries(Object.entries(merged).filter(([, rules]) => rules.length > 0));
+}
+
+// Per-endpoint latency SLOs (ms), overridden per key by the "endpoints" section of the SLO files
+// endpointThresholds() in helpers.js turns these into http_req_duration{name:...} thresholds
+// for every ENDPOINTS entry: DEFAULT applies unless the endpoint is listed here
+const COMPILED_ENDPOINT_SLOS = {
+    DEFAULT: { p95: CONFIG.THRESHOLDS.HTTP_REQ_DURATION_P95, p99: CONFIG.THRESHOLDS.HTTP_REQ_DURATION_P99 },
+    MENU_CATEGORY: { p95: CONFIG.THRESHOLDS.MENU_FETCH_P95 },
+    LOGIN_OTP: { p95: CONFIG.THRESHOLDS.LOGIN_P95 },
+    LOGIN_VERIFY: { p95: CONFIG.THRESHOLDS.LOGIN_P95 },
+    ORDER_CREATE: { p95: CONFIG.THRESHOLDS.ORDER_CREATE_P95, p99: 5000 },
+    PAYMENT_CREATE: { p95: CONFIG.THRESHOLDS.PAYMENT_P95 },
+    PAYMENT_VERIFY: { p95: CONFIG.THRESHOLDS.PAYMENT_P95 },
+    PAYMENT_CALLBACK: { p95: CONFIG.THRESHOLDS.PAYMENT_P95 },
+    DELIVERY_CREATE: { p95: CONFIG.THRESHOLDS.DELIVERY_P95 },
+    DELIVERY_FULFILL: { p95: CONFIG.THRESHOLDS.DELIVERY_P95 },
+    DELIVERY_CALLBACK: { p95: CONFIG.THRESHOLDS.DELIVERY_P95 },
+};
+
+export const ENDPOINT_SLOS = { ...COMPILED_ENDPOINT_SLOS };
+for (const endpoints of [SLO_BASE.endpoints, SLO_OVERRIDES.endpoints]) {
+    for (const [key, slo] of Object.entries(endpoints)) {
+        ENDPOINT_SLOS[key] = { ...(ENDPOINT_SLOS[key] || {}), ...slo };
+    }
+}
+
+// HTTP method per ENDPOINTS entry (GET when not listed) - used to build the name tag
+export const ENDPOINT_METHODS = {
+    LOGIN_OTP: 'POST',
+    LOGIN_VERIFY: 'POST',
+    LOGIN_REFRESH: 'POST',
+    ORDER_CREATE: 'POST',
+    ORDER_UPDATE: 'PATCH',
+    CUSTOMER_CREATE: 'POST',
+    ADDRESS_CREATE: 'POST',
+    DELIVERY_CREATE: 'POST',
+    DELIVERY_FULFILL: 'POST',
+    DELIVERY_CONSUME: 'POST',
+    DELIVERY_CALLBACK: 'POST',
+    PAYMENT_CREATE: 'POST',
+    PAYMENT_VERIFY: 'POST',
+    PAYMENT_PROCESS: 'POST',
+    PAYMENT_CONSUME: 'POST',
+    PAYMENT_CALLBACK: 'POST',
+    POS_ORDER_UPDATE: 'POST',
+};
+
 // API Endpoints Reference (v2)
 export const ENDPOINTS = {
     // Login/Auth
     LOGIN_OTP: '/login/otp',
     LOGIN_VERIFY: '/login/verify-otp',
     LOGIN_RESEND: (mobile) => `/login/resend-otp/${mobile}`,
+    LOGIN_REFRESH: '/login/refresh-token',
 
     // Restaurant
     RESTAURANT_LIST: '/restaurant',
@@ -156,7 +589,7 @@ export const ENDPOINTS = {
 
     // Order
     ORDER_LIST: '/order',
-    ORDER_LIST_BY_STATUS: (status) => `/order?status_eq=${status}&offset=0&limit=20`,
+    ORDER_LIST_BY_STATUS: (status, offset = 0, limit = 20) => `/order?status_eq=${status}&offset=${offset}&limit=${limit}`,
     ORDER_GET: (id) => `/order/${id}`,
     ORDER_CREATE: '/order',
     ORDER_UPDATE: (id) => `/order/${id}`,
@@ -186,6 +619,7 @@ export const ENDPOINTS = {
     PAYMENT_PROCESS: (orderId) => `/payment/process/${orderId}`,
     PAYMENT_CONSUME: (orderId) => `/payment/consume/${orderId}`,
     PAYMENT_CALLBACK: '/payment/callback',
+    PAYMENT_STATUS: (orderId) => `/payment?orderId_eq=${orderId}`,
 
     // Other
     OFFER_LIST: '/offer',
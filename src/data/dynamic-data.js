@@ -21,6 +21,8 @@
 import http from 'k6/http';
 import { check } from 'k6';
 import { CONFIG, ENDPOINTS } from '../config.js';
+import { validateResponse } from '../utils/schemas.js';
+import { apiGet, paginate } from '../utils/helpers.js';
 
 /**
  * Fetch restaurant details including location
@@ -42,6 +44,8 @@ export function fetchRestaurantLocation(restaurantId) {
         return null;
     }
 
+    validateResponse(res, 'RESTAURANT_GET');
+
     try {
         const body = JSON.parse(res.body);
         const restaurant = body.data?.[0] || body.data;
@@ -102,6 +106,8 @@ export function fetchMenuData(restaurantId) {
         return null;
     }
 
+    validateResponse(res, 'MENU_CATEGORY');
+
     try {
         const body = JSON.parse(res.body);
         const categories = body.data || [];
@@ -213,6 +219,59 @@ export function fetchCustomerAddresses(customerId) {
     }
 }
 
+// Order statuses that have a delivery record worth tracking
+const TRACKABLE_STATUSES = ['DELIVERED', 'OUT_FOR_PICKUP', 'OUT_FOR_DELIVERY'];
+
+/**
+ * Fetch ids of orders that can be tracked (trackable status + fulfilled delivery record)
+ * Walks the order list page by page and stops as soon as enough orders are found
+ *
+ * @param {number} maxOrders - Number of trackable order ids to return
+ * @param {number} maxChecked - Max orders whose delivery record is checked (bounds setup time)
+ */
+export function fetchTrackableOrderIds(maxOrders = 100, maxChecked = 150) {
+    console.log(`\nFetching trackable orders (${TRACKABLE_STATUSES.join(', ')})...`);
+    const orderIds = [];
+    let checked = 0;
+
+    for (const status of TRACKABLE_STATUSES) {
+        let found = 0;
+
+        for (const order of paginate(ENDPOINTS.ORDER_LIST, {
+            filters: { status },
+            maxItems: maxChecked - checked,
+            params: { schema: 'ORDER_LIST' },
+        })) {
+            const orderId = order.id || order._id;
+            if (!orderId) continue;
+            checked++;
+
+            // Check if the order has a fulfilled delivery record
+            const res = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId), { schema: 'DELIVERY_STATUS' });
+            if (res.status === 200) {
+                try {
+                    const body = JSON.parse(res.body);
+                    const deliveryStatus = body.data?.[0]?.status?.toLowerCase();
+                    if (deliveryStatus === 'fulfilled' || deliveryStatus === 'completed') {
+                        orderIds.push(orderId);
+                        found++;
+                    }
+                } catch (e) {
+                    // Skip orders with invalid delivery data
+                }
+            }
+
+            if (orderIds.length >= maxOrders || checked >= maxChecked) break;
+        }
+
+        console.log(`  - ${status}: ${found} trackable orders`);
+        if (orderIds.length >= maxOrders || checked >= maxChecked) break;
+    }
+
+    console.log(`Checked ${checked} orders, found ${orderIds.length} with fulfilled deliveries`);
+    return orderIds;
+}
+
 /**
  * Get random items from menu data
  */
@@ -294,7 +353,7 @@ export function generateDynamicOrderDto(restaurantId, customerId, menuData, opti
     }));
 
     const taxAmount = Array.from(taxTotals.values()).reduce((sum, t) => sum + t.total, 0);
-    const deliveryCharge = options.orderType === '2' ? 0 : 53.1; // No delivery for pickup
+    const deliveryCharge = ['2', '3'].includes(options.orderType) ? 0 : 53.1; // No delivery for pickup / dine-in
     const packagingCharge = 20;
     const grandTotal = subtotal + taxAmount + deliveryCharge + packagingCharge;
 
@@ -20,6 +20,7 @@ export {
     fetchMenuData,
     fetchCustomerAddresses,
     fetchRestaurantLocation,
+    fetchTrackableOrderIds,
     generateDynamicOrderDto,
     getRandomItems,
     validateMenuData,
@@ -47,6 +48,13 @@ export function generateUserPool(count = 1000) {
     return users;
 }
 
+// Logs in once from setup() when AUTH_MODE=jwt (never handed out by the pool)
+export const SETUP_USER = {
+    index: -1,
+    name: 'LoadTest Setup',
+    mobile: '9800001000',
+};
+
 // Get a user from pool by VU id (round-robin)
 export function getUserFromPool(users, vuId) {
     return users[vuId % users.length];
@@ -95,9 +103,19 @@ export const ORDER_STATUS = [
 // Order types (API uses string numbers)
 export const ORDER_TYPES = ['1', '2', '3']; // 1=DELIVERY, 2=PICKUP, 3=DINE_IN
 
+// Order type names used by CONFIG.ORDER_TYPE_MIX
+export const ORDER_TYPE_CODES = {
+    delivery: '1',
+    pickup: '2',
+    dine_in: '3',
+};
+
 // Payment types
 export const PAYMENT_TYPES = ['CREDIT', 'COD', 'CARD', 'UPI'];
 
+// Payment types settled by the customer online (payment create + verify); COD is collected by the rider
+export const ONLINE_PAYMENT_TYPES = ['CREDIT', 'CARD', 'UPI'];
+
 // Tax IDs (from your system)
 export const TAX_IDS = {
     CGST: '271757',
@@ -222,7 +240,7 @@ export function generateOrderDto(restaurantId, customerId, options = {}) {
     }
 
     const taxAmount = totalCgst + totalSgst;
-    const deliveryCharge = options.orderType === '2' ? 0 : 53.1; // No delivery for pickup
+    const deliveryCharge = ['2', '3'].includes(options.orderType) ? 0 : 53.1; // No delivery for pickup / dine-in
     const packagingCharge = 20;
     const grandTotal = subtotal + taxAmount + deliveryCharge + packagingCharge;
 
@@ -372,6 +390,7 @@ export const ORDER_LIFECYCLE = {
     PICKED_UP: 'PICKED_UP',
     OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
     DELIVERED: 'DELIVERED',
+    CANCELLED: 'CANCELLED',
 };
 
 // Delivery fulfillment status types
@@ -391,25 +410,68 @@ export const DELIVERY_FULFILL_STATUS = {
 // ============================================
 
 /**
- * Generate POS order status update payload
- * Status codes: 3 = ACCEPTED, 5 = READY_FOR_DELIVERY
+ * POS status callbacks per order type, in order
+ * Delivery orders continue with the delivery partner callbacks instead of
+ * being handed over by the restaurant
  */
-export function generateOrderStatusUpdate(menuSharingCode, orderId, status) {
-    // Map status names to POS status codes
-    const statusMap = {
-        'ACCEPTED': '3',
-        'READY_FOR_DELIVERY': '5',
-    };
+export const POS_STATUS_PROGRESSION = {
+    '1': ['ACCEPTED'],
+    '2': ['ACCEPTED', 'FOOD_READY', 'DELIVERED'],   // Pickup: ready at the counter, collected
+    '3': ['ACCEPTED', 'FOOD_READY', 'DELIVERED'],   // Dine-in: ready in the kitchen, served
+};
 
-    const statusCode = statusMap[status] || status;
+/**
+ * PetPooja POS status codes by status name
+ * PetPooja sends 1, 2 or 3 for an accepted order (the integration uses 3) and
+ * -1 both for a rejection before acceptance and a cancellation after it
+ */
+export const POS_STATUS_CODES = {
+    ACCEPTED: '3',
+    REJECTED: '-1',
+    PICKED_UP: '4',             // Dispatched: handed to the rider / collected
+    READY_FOR_DELIVERY: '5',
+    FOOD_READY: '5',
+    DELIVERED: '10',
+    CANCELLED: '-1',
+};
 
-    return {
+// Default cancel_reason sent with status -1
+const POS_CANCEL_REASONS = {
+    REJECTED: 'Load test rejection',
+    CANCELLED: 'Load test cancellation',
+};
+
+/**
+ * Generate POS order status update payload
+ * Names map through POS_STATUS_CODES; anything else is sent as-is (raw or invalid codes)
+ * @param {object} options - cancelReason: sent as cancel_reason with REJECTED / CANCELLED (-1)
+ */
+export function generateOrderStatusUpdate(menuSharingCode, orderId, status, options = {}) {
+    const statusCode = POS_STATUS_CODES[status] || status;
+
+    const payload = {
         restID: menuSharingCode,
         orderID: String(orderId),
         status: statusCode,
         minimum_prep_time: 15,
         minimum_delivery_time: "",
     };
+
+    if (statusCode === '-1') {
+        payload.cancel_reason = options.cancelReason || POS_CANCEL_REASONS[status] || POS_CANCEL_REASONS.CANCELLED;
+    }
+
+    return payload;
+}
+
+/**
+ * Generate customer-side cancellation payload for PATCH /order/{id}
+ */
+export function generateOrderCancelDto(reason = 'Load test cancellation') {
+    return {
+        status: ORDER_LIFECYCLE.CANCELLED,
+        cancellationReason: reason,
+    };
 }
 
 // ============================================
@@ -428,14 +490,122 @@ export const DELIVERY_STATUS_SEQUENCE = [
     'DELIVERED',
 ];
 
+/**
+ * Optional fulfillment states each delivery profile reports on top of the
+ * minimal trip (see getDeliveryStatusSequence)
+ */
+const DELIVERY_PROFILE_STATES = {
+    minimal: [],
+    full: ['REACHED_PICKUP', 'REACHED_DELIVERY'],
+    with_transit: ['REACHED_PICKUP', 'IN_TRANSIT', 'REACHED_DELIVERY'],
+};
+
+/**
+ * Named delivery callback sequences (CONFIG.DELIVERY_PROFILES), CREATED first
+ * - minimal:      DELIVERY_STATUS_SEQUENCE
+ * - full:         + REACHED_PICKUP and REACHED_DELIVERY
+ * - with_transit: full + IN_TRANSIT between pickup and delivery
+ */
+export const DELIVERY_SEQUENCE_PROFILES = Object.fromEntries(Object.keys(DELIVERY_PROFILE_STATES)
+    .map((profile) => [profile, [DELIVERY_FULFILL_STATUS.CREATED, ...getDeliveryStatusSequence(profile)]]));
+
+/**
+ * Minutes after the first callback at which each fulfillment status is reported
+ * (incremental timestamps; a profile skips the states it does not send)
+ */
+export const DELIVERY_STATUS_OFFSETS = {
+    'CREATED': 1,
+    'OUT_FOR_PICKUP': 3,
+    'REACHED_PICKUP': 8,
+    'PICKED_UP': 12,
+    'IN_TRANSIT': 12,
+    'OUT_FOR_DELIVERY': 12,
+    'REACHED_DELIVERY': 21,
+    'DELIVERED': 22,
+};
+
+/**
+ * Riders the delivery partner assigns (the first one is the default rider)
+ */
+export const RIDER_POOL = [
+    { id: '306', name: 'Rider name', mobile: '8887772221' },
+    { id: '307', name: 'Ravi Kumar', mobile: '8887772222' },
+    { id: '308', name: 'Amit Singh', mobile: '8887772223' },
+    { id: '309', name: 'Suresh Yadav', mobile: '8887772224' },
+];
+
+/**
+ * Pick distinct riders from RIDER_POOL (e.g. a rider and the one who takes over)
+ */
+export function pickRiders(count = 2) {
+    const start = Math.floor(Math.random() * RIDER_POOL.length);
+    return Array.from({ length: Math.min(count, RIDER_POOL.length) },
+        (_, i) => RIDER_POOL[(start + i) % RIDER_POOL.length]);
+}
+
+/**
+ * Rider events the delivery partner reports without changing the trip status
+ * - SEARCHING:  no rider yet (order SEARCHING_RIDER)
+ * - ASSIGNED:   a rider took the trip (order RIDER_ASSIGNED)
+ * - UNASSIGNED: the rider dropped the trip, searching again
+ * - REASSIGNED: a different rider took over mid-trip
+ */
+export const RIDER_EVENTS = {
+    SEARCHING: 'SEARCHING',
+    ASSIGNED: 'ASSIGNED',
+    UNASSIGNED: 'UNASSIGNED',
+    REASSIGNED: 'REASSIGNED',
+};
+
+const RIDER_EVENT_REMARKS = {
+    SEARCHING: 'Searching for rider',
+    ASSIGNED: 'Rider assigned',
+    UNASSIGNED: 'Rider unassigned',
+    REASSIGNED: 'Rider reassigned',
+};
+
+/**
+ * Delivery callbacks of a trip including its rider events
+ * CREATED is split into rider search and assignment; with reassign, the first
+ * rider drops the trip after OUT_FOR_PICKUP and the second one takes over.
+ *
+ * @param {Array<string>} statuses - Fulfillment statuses (a DELIVERY_SEQUENCE_PROFILES entry)
+ * @param {Array<object>} riders - First rider and replacement (see pickRiders)
+ * @returns {Array<{ status, rider, riderEvent }>} rider is null while none is assigned
+ */
+export function riderTrip(statuses, riders, reassign = false) {
+    const steps = [];
+    let rider = riders[0];
+
+    for (const status of statuses) {
+        if (status === 'CREATED') {
+            steps.push({ status, rider: null, riderEvent: RIDER_EVENTS.SEARCHING });
+            steps.push({ status, rider, riderEvent: RIDER_EVENTS.ASSIGNED });
+            continue;
+        }
+
+        steps.push({ status, rider, riderEvent: null });
+
+        if (reassign && status === 'OUT_FOR_PICKUP') {
+            steps.push({ status, rider: null, riderEvent: RIDER_EVENTS.UNASSIGNED });
+            rider = riders[1];
+            steps.push({ status, rider, riderEvent: RIDER_EVENTS.REASSIGNED });
+        }
+    }
+    return steps;
+}
+
 /**
  * Status remarks mapping
  */
 const STATUS_REMARKS = {
     'CREATED': null,
     'OUT_FOR_PICKUP': 'Start for Pickup',
+    'REACHED_PICKUP': 'Reached pickup location',
     'PICKED_UP': 'admin quick scan',
+    'IN_TRANSIT': 'On the way',
     'OUT_FOR_DELIVERY': 'Start for Delivery',
+    'REACHED_DELIVERY': 'Reached drop location',
     'DELIVERED': null,
 };
 
@@ -458,8 +628,12 @@ const STATUS_REMARKS = {
  * @param {Array} previousLogs - Accumulated logs from previous callbacks
  * @param {Date} baseTime - Base timestamp for the order
  * @param {number} minutesOffset - Minutes offset from base time for this status
+ * @param {object} options - codAmount: amount the rider collects (COD orders, default 0)
+ *                           rider: assigned rider, null for none (default: RIDER_POOL[0] in mtg,
+ *                                  on the log and fulfillment after CREATED)
+ *                           riderEvent: RIDER_EVENTS entry, sets the log remark
  */
-export function generateDeliveryCallback(orderId, deliveryOrderId, channelOrderId, fulfillmentStatus, previousLogs = [], baseTime = null, minutesOffset = 0) {
+export function generateDeliveryCallback(orderId, deliveryOrderId, channelOrderId, fulfillmentStatus, previousLogs = [], baseTime = null, minutesOffset = 0, options = {}) {
     const base = baseTime || new Date();
     const currentTime = new Date(base.getTime() + minutesOffset * 60 * 1000);
     const timestamp = currentTime.toISOString();
@@ -473,12 +647,11 @@ export function generateDeliveryCallback(orderId, deliveryOrderId, channelOrderI
         longitude: 77.08023,
     };
 
-    // Rider info
-    const rider = {
-        id: '306',
-        name: 'Rider name',
-        mobile: '8887772221',
-    };
+    // Rider info: options.rider drives rider events; otherwise RIDER_POOL[0] is
+    // on the trip from the start but only shown on the log after CREATED
+    const tracksRider = options.rider !== undefined;
+    const rider = tracksRider ? options.rider : RIDER_POOL[0];
+    const showRider = tracksRider ? Boolean(rider) : fulfillmentStatus !== 'CREATED';
 
     // Channel info
     const channel = {
@@ -495,12 +668,17 @@ export function generateDeliveryCallback(orderId, deliveryOrderId, channelOrderI
         attemptType: 'FORWARD',
     };
 
-    // Add location and rider for non-CREATED statuses
+    // Add location and remark for non-CREATED statuses, rider while one is assigned
     if (fulfillmentStatus !== 'CREATED') {
         currentLog.location = location;
-        currentLog.rider = rider;
         currentLog.remark = STATUS_REMARKS[fulfillmentStatus];
     }
+    if (showRider) {
+        currentLog.rider = rider;
+    }
+    if (options.riderEvent) {
+        currentLog.remark = RIDER_EVENT_REMARKS[options.riderEvent];
+    }
 
     // Accumulate logs
     const logs = [...previousLogs, currentLog];
@@ -512,7 +690,7 @@ export function generateDeliveryCallback(orderId, deliveryOrderId, channelOrderI
     };
 
     // Add pickup location/timestamp after PICKED_UP
-    if (['PICKED_UP', 'OUT_FOR_DELIVERY', 'DELIVERED'].includes(fulfillmentStatus)) {
+    if (['PICKED_UP', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'REACHED_DELIVERY', 'DELIVERED'].includes(fulfillmentStatus)) {
         pickup.location = location;
         pickup.timestamp = timestamp;
     }
@@ -539,7 +717,7 @@ export function generateDeliveryCallback(orderId, deliveryOrderId, channelOrderI
         mtg: {
             trip_id: 529719,
             group_id: 204359,
-            rider_id: 306,
+            rider_id: rider ? Number(rider.id) : null,
             bundle_id: 142707,
             sequence_number: 1,
         },
@@ -547,8 +725,7 @@ export function generateDeliveryCallback(orderId, deliveryOrderId, channelOrderI
         delivery_charge: 189,
     };
 
-    // Add rider for non-CREATED statuses
-    if (fulfillmentStatus !== 'CREATED') {
+    if (showRider) {
         fulfillment.rider = rider;
     }
 
@@ -562,7 +739,7 @@ export function generateDeliveryCallback(orderId, deliveryOrderId, channelOrderI
             },
             reference_id: String(orderId),
             bill_amount: 637,
-            cod_amount: 0,
+            cod_amount: options.codAmount || 0,
             created_at: new Date(base.getTime() + 1 * 60 * 1000).toISOString(),
             customer_detail: {
                 name: 'John Doe',
@@ -594,9 +771,13 @@ export function generateDeliveryCallback(orderId, deliveryOrderId, channelOrderI
 
 /**
  * Generate Razorpay payment callback event
+ * Every call is a new payment attempt (unique payment id); send the same
+ * payload again to redeliver an event.
+ *
+ * @param {string} eventType - 'order.paid' (captured) or 'payment.failed'
  */
 export function generatePaymentCallback(paymentOrderId, orderId, eventType = 'order.paid') {
-    const paymentId = `pay_${Date.now()}`;
+    const paymentId = `pay_${Date.now()}${Math.floor(Math.random() * 1000)}`;
 
     return {
         event: eventType,
@@ -615,15 +796,12 @@ export function generatePaymentCallback(paymentOrderId, orderId, eventType = 'or
 }
 
 /**
- * Get delivery status sequence for simulating order lifecycle
+ * Get delivery status sequence for simulating order lifecycle (after CREATED)
+ * @param {string} profile - DELIVERY_PROFILE_STATES key (default: full)
  */
-export function getDeliveryStatusSequence() {
-    return [
-        DELIVERY_FULFILL_STATUS.OUT_FOR_PICKUP,
-        DELIVERY_FULFILL_STATUS.REACHED_PICKUP,
-        DELIVERY_FULFILL_STATUS.PICKED_UP,
-        DELIVERY_FULFILL_STATUS.OUT_FOR_DELIVERY,
-        DELIVERY_FULFILL_STATUS.REACHED_DELIVERY,
-        DELIVERY_FULFILL_STATUS.DELIVERED,
-    ];
+export function getDeliveryStatusSequence(profile = 'full') {
+    const optional = Object.values(DELIVERY_PROFILE_STATES).flat();
+    return Object.values(DELIVERY_FULFILL_STATUS).filter((status) =>
+        status !== DELIVERY_FULFILL_STATUS.CREATED &&
+        (!optional.includes(status) || DELIVERY_PROFILE_STATES[profile].includes(status)));
 }
@@ -0,0 +1,290 @@
+/**
+ * Breakpoint Test - Capacity Search
+ *
+ * Runs the stress-test.js operation mix on an open model and steps the arrival
+ * rate up (CONFIG.BREAKPOINT: 5, 10, 15 ... iterations/s, 2m per step) until a
+ * step breaks the SLO:
+ * - p95 of http_req_duration above CONFIG.BREAKPOINT.P95, or
+ * - http_req_failed above CONFIG.BREAKPOINT.ERROR_RATE
+ * A breached step aborts the run (abortOnFail per step), and so does the
+ * collapse guard. The summary reports the last step that met the SLO as the
+ * sustainable throughput: successful operations per class (menu, login, order,
+ * tracking, mixed).
+ *
+ * Modes:
+ * - sanity:     Single user, quick validation (~2 min)
+ * - breakpoint: Arrival-rate steps until the SLO breaks (up to ~27 min)
+ *
+ * Usage:
+ *   ./run-tests.sh breakpoint --restaurant 324672 --mode sanity         # Quick validation
+ *   ./run-tests.sh breakpoint --restaurant 324672                       # Full capacity search
+ *   ./run-tests.sh breakpoint --restaurant 324672 --slo-p95 1000        # Stricter latency SLO
+ */
+
+import exec from 'k6/execution';
+import { Counter } from 'k6/metrics';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+    parseDuration,
+    formatDuration,
+} from '../config.js';
+import { fetchAll, adoptSession, failureThresholds } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog, breakingPoint } from '../utils/summary.js';
+import { enableCollapseGuard, collapseThresholds } from '../utils/collapse-guard.js';
+import { fetchMenuData } from '../data/test-data.js';
+import { stressOperation } from './stress-test.js';
+
+const BREAKPOINT = CONFIG.BREAKPOINT;
+
+// Operation classes of the stress mix (see stressOperation)
+const OPERATION_CLASSES = ['menu', 'login', 'order', 'tracking', 'mixed'];
+
+// Successful operations, tagged with op (class) and step (VU tag) - failed ones are not throughput
+const operations = new Counter('breakpoint_operations');
+
+// Check if sanity mode
+const isSanityMode = CONFIG.USER_MODE === 'sanity';
+
+// A collapsed backend ends the search as well as a breached SLO
+if (!isSanityMode) {
+    enableCollapseGuard();
+}
+
+// Scenario configurations
+const sanityScenario = {
+    executor: 'per-vu-iterations',
+    vus: 1,
+    iterations: 5,  // Test each stress operation once
+    maxDuration: '5m',
+};
+
+// Ramp to each step's rate, then hold it; only the holds are judged.
+// The rates are BREAKPOINT_* as given - LOAD_SCALE would round small steps into
+// duplicates - while DURATION_SCALE still shortens the ramps and holds
+function stepLadder() {
+    const scaled = (duration) => formatDuration(parseDuration(duration) * CONFIG.DURATION_SCALE);
+    const stages = [];
+    for (let i = 0; i < BREAKPOINT.MAX_STEPS; i++) {
+        const target = BREAKPOINT.START_RATE + i * BREAKPOINT.STEP_RATE;
+        stages.push({ duration: scaled(BREAKPOINT.RAMP_DURATION), target });
+        stages.push({ duration: scaled(BREAKPOINT.STEP_DURATION), target });
+    }
+    return {
+        executor: 'ramping-arrival-rate',
+        startRate: 0,
+        timeUnit: '1s',
+        preAllocatedVUs: 50,
+        maxVUs: 500,
+        stages,
+    };
+}
+
+// Not selectScenario(): the step report needs this ladder, not another shape
+const breakpointScenario = stepLadder();
+
+function stepName(index) {
+    return `s${String(index + 1).padStart(2, '0')}`;
+}
+
+// Hold windows of the ladder, in seconds from the scenario start
+const steps = [];
+let ladderSeconds = 0;
+breakpointScenario.stages.forEach((stage, i) => {
+    const seconds = parseDuration(stage.duration);
+    if (i % 2 === 1) {
+        steps.push({ name: stepName(steps.length), rate: stage.target, start: ladderSeconds, seconds });
+    }
+    ladderSeconds += seconds;
+});
+
+// Per-step SLO (aborts the run once a step breaks it) + operation counts for the report
+function stepThresholds() {
+    const thresholds = {};
+    for (const step of steps) {
+        const delayAbortEval = formatDuration(step.start + parseDuration(BREAKPOINT.JUDGE_DELAY));
+
+        thresholds[`http_req_duration{step:${step.name}}`] = [
+            { threshold: `p(95)<${BREAKPOINT.P95}`, abortOnFail: true, delayAbortEval },
+        ];
+        thresholds[`http_req_failed{step:${step.name}}`] = [
+            { threshold: `rate<${BREAKPOINT.ERROR_RATE}`, abortOnFail: true, delayAbortEval },
+        ];
+        for (const op of OPERATION_CLASSES) {
+            thresholds[`breakpoint_operations{step:${step.name},op:${op}}`] = ['count>=0'];
+        }
+    }
+    return thresholds;
+}
+
+export const options = {
+    // count lets the summary tell a step that was never reached from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
+    scenarios: {
+        breakpoint_test: isSanityMode ? sanityScenario : breakpointScenario,
+    },
+    // No endpointThresholds(): the ladder runs past the SLO on purpose, and the
+    // step thresholds below judge each rate instead of the whole run
+    thresholds: {
+        ...sloThresholds('breakpoint_test'),
+        ...failureThresholds(),
+        ...(isSanityMode ? {} : stepThresholds()),
+        ...(isSanityMode ? {} : collapseThresholds()),
+    },
+};
+
+// Tag every metric this VU emits with the step being held ('ramp' between steps)
+function tagStep() {
+    const elapsedSeconds = (Date.now() - exec.scenario.startTime) / 1000;
+    const step = steps.find((s) => elapsedSeconds >= s.start && elapsedSeconds < s.start + s.seconds);
+    exec.vu.metrics.tags.step = step ? step.name : 'ramp';
+}
+
+export default function (data) {
+    adoptSession(data?.auth);
+    if (!isSanityMode) {
+        tagStep();
+    }
+    const { op, ok } = stressOperation(data);
+    if (ok) {
+        operations.add(1, { op });
+    }
+}
+
+export function setup() {
+    console.log('='.repeat(60));
+    console.log(`BREAKPOINT TEST - ${isSanityMode ? 'SANITY MODE' : 'CAPACITY SEARCH'}`);
+    console.log('='.repeat(60));
+    console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
+    console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
+    console.log(`Mode: ${isSanityMode ? 'sanity (single user validation)' : 'breakpoint (arrival-rate steps)'}`);
+    if (!isSanityMode) {
+        console.log(`Steps: ${steps.map((s) => s.rate).join(' → ')} iterations/s, ` +
+            `${formatDuration(steps[0].seconds)} each`);
+        console.log(`Step SLO: p95 < ${BREAKPOINT.P95}ms, errors < ${(BREAKPOINT.ERROR_RATE * 100).toFixed(2)}%`);
+    }
+    console.log('');
+    console.log('Operation mix (stress-test.js): 30% menu, 20% login, 25% order, 15% tracking, 10% mixed');
+    console.log('='.repeat(60));
+
+    if (!CONFIG.RESTAURANT_ID) {
+        throw new Error('RESTAURANT_ID is required!');
+    }
+
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    // Fetch menu data
+    const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
+
+    // Fetch existing orders
+    const orderIds = fetchAll(ENDPOINTS.ORDER_LIST, { maxItems: 100, params: { schema: 'ORDER_LIST' } })
+        .map(o => o.id)
+        .filter(Boolean);
+
+    console.log(`Loaded ${menuData?.items?.length || 0} menu items`);
+    console.log(`Found ${orderIds.length} existing orders`);
+
+    return { startTime: Date.now(), menuData, orderIds, auth };
+}
+
+export function teardown(data) {
+    const duration = (Date.now() - data.startTime) / 1000 / 60;
+    console.log(`\nBreakpoint test completed in ${duration.toFixed(1)} minutes`);
+}
+
+// p95, error rate and successful operations per class for one step, null when it was never reached
+function stepStats(data, step) {
+    const duration = data.metrics[`http_req_duration{step:${step.name}}`];
+    const failed = data.metrics[`http_req_failed{step:${step.name}}`];
+
+    if (!duration || !duration.values || !duration.values.count) {
+        return null;
+    }
+
+    const perSecond = {};
+    let total = 0;
+    for (const op of OPERATION_CLASSES) {
+        const metric = data.metrics[`breakpoint_operations{step:${step.name},op:${op}}`];
+        const count = metric && metric.values ? metric.values.count : 0;
+        perSecond[op] = count / step.seconds;
+        total += count;
+    }
+
+    const p95 = duration.values['p(95)'];
+    const errorRate = failed && failed.values ? failed.values.rate : 0;
+    const breaches = [];
+    if (p95 >= BREAKPOINT.P95) breaches.push('p95');
+    if (errorRate >= BREAKPOINT.ERROR_RATE) breaches.push('errors');
+
+    return { p95, errorRate, perSecond, total: total / step.seconds, breaches };
+}
+
+/**
+ * Per-step SLO results and the sustainable throughput (last step that met the SLO)
+ * A step only counts once the next one was reached, so a run that aborted
+ * mid-step never reports that step as sustained
+ */
+function capacityReport(data) {
+    const lines = ['', '', '     CAPACITY SEARCH'];
+    lines.push(`     SLO per step: p95 < ${BREAKPOINT.P95}ms, errors < ${(BREAKPOINT.ERROR_RATE * 100).toFixed(2)}%`);
+
+    if (isSanityMode) {
+        lines.push('     No steps run (sanity mode)');
+        return lines.join('\n') + '\n';
+    }
+
+    const results = steps.map((step) => stepStats(data, step));
+    let sustained = -1;
+
+    steps.forEach((step, i) => {
+        const stats = results[i];
+        if (!stats) {
+            lines.push(`     ${step.name} ${String(step.rate).padStart(4)}/s: not reached`);
+            return;
+        }
+
+        const completed = i === steps.length - 1 || results[i + 1] !== null;
+        const passed = stats.breaches.length === 0 && completed;
+        if (passed && sustained === i - 1) {
+            sustained = i;
+        }
+
+        const verdict = stats.breaches.length > 0
+            ? `BREACHED (${stats.breaches.join(', ')})`
+            : (completed ? 'ok' : 'run ended in this step');
+        lines.push(`     ${step.name} ${String(step.rate).padStart(4)}/s: p95 ${Math.round(stats.p95)}ms, ` +
+            `errors ${(stats.errorRate * 100).toFixed(2)}%, ${stats.total.toFixed(1)} ok ops/s  ${verdict}`);
+    });
+
+    if (sustained < 0) {
+        lines.push('     Sustainable throughput: none - the first step already broke the SLO (lower BREAKPOINT_START_RATE)');
+        return lines.join('\n') + '\n';
+    }
+
+    const step = steps[sustained];
+    const stats = results[sustained];
+    lines.push(`     Sustainable throughput: ${step.rate} iterations/s (step ${step.name}, ` +
+        `${stats.total.toFixed(1)} successful ops/s)`);
+    for (const op of OPERATION_CLASSES) {
+        lines.push(`       ${op.padEnd(10)} ${stats.perSecond[op].toFixed(1)}/s`);
+    }
+    if (sustained === steps.length - 1) {
+        lines.push('     Every step met the SLO - raise BREAKPOINT_MAX_STEPS or BREAKPOINT_STEP_RATE to find the limit');
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+export function handleSummary(data) {
+    return {
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) +
+            capacityReport(data) + breakingPoint(data) + failureCatalog(data),
+    };
+}
@@ -0,0 +1,379 @@
+/**
+ * Delivery Callback Test - Out-of-Order and Invalid Partner Callbacks
+ *
+ * Each iteration takes an order to ACCEPTED, fulfills its delivery and builds
+ * the partner callbacks of a normal trip (DELIVERY_STATUS_SEQUENCE, with the
+ * timestamps and logs the partner would send). It then delivers them the way
+ * they arrive on a bad day. Iterations cycle through the patterns:
+ * - shuffled:     every callback once, in random order
+ * - skipped:      DELIVERED straight after CREATED
+ * - repeated:     every callback twice, back to back
+ * - stale_replay: the normal trip, then OUT_FOR_PICKUP and PICKED_UP again
+ * - unknown_id:   the normal trip for a delivery id that does not exist
+ *
+ * After every callback the order (GET /order/{id}) and its delivery record
+ * (GET /delivery?orderId_eq=) are read back. Violations:
+ * - order_regression:      order status moved back in the lifecycle
+ * - delivery_regression:   fulfillment status moved back
+ * - out_of_order_accepted: a callback that skips ahead of, or goes back behind,
+ *                          the furthest accepted one was accepted
+ * - impossible_transition: order moved past what the accepted in-order callbacks
+ *                          justify (unknown ids justify nothing)
+ *
+ * Modes:
+ * - sanity: Single user, every pattern once (~5 min)
+ * - load:   Ramping VUs (~5 min)
+ *
+ * Usage:
+ *   ./run-tests.sh delivery-callbacks --restaurant 324672 --mode sanity  # Quick validation
+ *   ./run-tests.sh delivery-callbacks --restaurant 324672                # Load test
+ */
+
+import { sleep, group } from 'k6';
+import exec from 'k6/execution';
+import { Trend, Rate, Counter } from 'k6/metrics';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiPost, check, randomSleep, shuffle, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import {
+    failureCatalog,
+    tagSelectors,
+    submetricThresholds,
+    submetric,
+    percent,
+    count,
+    p95,
+    violationsLine,
+} from '../utils/summary.js';
+import {
+    loginCustomer,
+    createOrder,
+    payOrder,
+    posUpdate,
+    fetchOrder,
+    waitForOrderStatus,
+    fetchDelivery,
+    buildDeliveryCallbacks,
+    statusRank,
+    setupAuth,
+} from '../utils/order-flow.js';
+import {
+    generateUserPool,
+    getUserFromPool,
+    ORDER_LIFECYCLE,
+    DELIVERY_STATUS_SEQUENCE,
+    DELIVERY_FULFILL_STATUS,
+    fetchMenuData,
+    fetchRestaurantLocation,
+} from '../data/test-data.js';
+
+// Delivery patterns, in the order iterations cycle through them
+const PATTERNS = ['shuffled', 'skipped', 'repeated', 'stale_replay', 'unknown_id'];
+
+// What can go wrong (tag values of kind)
+const VIOLATION_KINDS = ['order_regression', 'delivery_regression', 'out_of_order_accepted', 'impossible_transition'];
+
+// Furthest order status an accepted callback of each fulfillment status can justify
+const ORDER_STATUS_CEILING = {
+    CREATED: ORDER_LIFECYCLE.RIDER_ASSIGNED,
+    OUT_FOR_PICKUP: ORDER_LIFECYCLE.OUT_FOR_PICKUP,
+    REACHED_PICKUP: ORDER_LIFECYCLE.OUT_FOR_PICKUP,
+    PICKED_UP: ORDER_LIFECYCLE.PICKED_UP,
+    IN_TRANSIT: ORDER_LIFECYCLE.OUT_FOR_DELIVERY,
+    OUT_FOR_DELIVERY: ORDER_LIFECYCLE.OUT_FOR_DELIVERY,
+    REACHED_DELIVERY: ORDER_LIFECYCLE.OUT_FOR_DELIVERY,
+    DELIVERED: ORDER_LIFECYCLE.DELIVERED,
+};
+
+// Fulfillment statuses in trip order
+const FULFILLMENT_ORDER = Object.values(DELIVERY_FULFILL_STATUS);
+
+// Time allowed for a status change to become visible on GET /order/{id}
+const STATUS_TIMEOUT_MS = 15000;
+
+// Custom metrics (tagged with pattern)
+const callbackTime = new Trend('delivery_callback_duration', true);
+const callbackAcceptedRate = new Rate('delivery_callback_accepted_rate');
+const cleanRate = new Rate('delivery_callback_clean_rate');
+const violations = new Counter('delivery_callback_violations');
+
+// Check if sanity mode
+const isSanityMode = CONFIG.USER_MODE === 'sanity';
+
+// Generate user pool
+const userPool = generateUserPool(isSanityMode ? 1 : 500);
+
+// Scenario configurations
+const sanityScenario = {
+    executor: 'per-vu-iterations',
+    vus: 1,
+    iterations: PATTERNS.length,  // Every pattern once
+    maxDuration: '15m',
+};
+
+const loadScenario = {
+    executor: 'ramping-vus',
+    startVUs: 0,
+    stages: [
+        { duration: '1m', target: 5 },
+        { duration: '3m', target: 10 },
+        { duration: '1m', target: 0 },
+    ],
+};
+
+export const options = {
+    // count lets the summary tell a pattern that never ran from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
+    scenarios: {
+        delivery_callbacks: isSanityMode ? sanityScenario : selectScenario(loadScenario),
+    },
+    thresholds: {
+        ...endpointThresholds(),
+        ...sloThresholds('delivery_callbacks'),
+        ...failureThresholds(),
+        // Always-passing - they only make the per-pattern submetrics visible to handleSummary
+        ...submetricThresholds({
+            delivery_callback_duration: 'max',
+            delivery_callback_accepted_rate: 'rate',
+            delivery_callback_clean_rate: 'rate',
+            delivery_callback_violations: 'count',
+        }, tagSelectors('pattern', PATTERNS)),
+        ...submetricThresholds({ delivery_callback_violations: 'count' }, tagSelectors('kind', VIOLATION_KINDS)),
+    },
+};
+
+// Pattern for this iteration, cycling through all of them
+function pickPattern() {
+    return PATTERNS[exec.scenario.iterationInTest % PATTERNS.length];
+}
+
+/**
+ * Callbacks of a pattern, in sending order
+ * @param {Array<{ status, payload }>} trip - Callbacks of a normal trip, in trip order
+ */
+function arrange(pattern, trip) {
+    const byStatus = (status) => trip.find((c) => c.status === status);
+
+    switch (pattern) {
+        case 'shuffled':
+            return shuffle(trip);
+        case 'skipped':
+            return [byStatus('CREATED'), byStatus('DELIVERED')];
+        case 'repeated':
+            return trip.flatMap((c) => [c, c]);
+        case 'stale_replay':
+            return [...trip, byStatus('OUT_FOR_PICKUP'), byStatus('PICKED_UP')];
+        default:
+            return trip;
+    }
+}
+
+/**
+ * Take an order to ACCEPTED and fulfill its delivery
+ * @returns {{ orderId, delivery }|null}
+ */
+function dispatchedOrder(restaurantId, user, data) {
+    const customerId = loginCustomer(user, restaurantId);
+    const orderId = customerId && createOrder(restaurantId, customerId, data?.menuData, {
+        paymentType: 'CREDIT',
+        orderType: '1',
+    });
+    if (!orderId || !payOrder(orderId) ||
+        !waitForOrderStatus(orderId, [ORDER_LIFECYCLE.PAID], STATUS_TIMEOUT_MS).reached) {
+        return null;
+    }
+
+    let res = posUpdate(data?.menuSharingCode, orderId, ORDER_LIFECYCLE.ACCEPTED);
+    if (!check(res, { 'Order accepted': (r) => r.status === 200 }) ||
+        !waitForOrderStatus(orderId, [ORDER_LIFECYCLE.ACCEPTED], STATUS_TIMEOUT_MS).reached) {
+        return null;
+    }
+
+    res = apiPost(ENDPOINTS.DELIVERY_FULFILL(orderId), {});
+    if (!check(res, { 'Delivery fulfilled': (r) => r.status === 200 })) {
+        return null;
+    }
+
+    sleep(randomSleep(200, 400));
+
+    const delivery = fetchDelivery(orderId);
+    if (!delivery) {
+        console.warn(`No delivery record found for order ${orderId}, skipping callbacks`);
+        return null;
+    }
+    return { orderId, delivery };
+}
+
+// Position of a fulfillment status in the trip (-1 when unknown)
+function fulfillmentRank(delivery) {
+    return delivery ? FULFILLMENT_ORDER.indexOf(delivery.record?.fulfillment?.status) : -1;
+}
+
+export default function (data) {
+    adoptSession(data?.auth);
+    const restaurantId = CONFIG.RESTAURANT_ID;
+    const user = getUserFromPool(userPool, __VU);
+    const pattern = pickPattern();
+    const tags = { pattern };
+
+    let dispatched = null;
+    group('Dispatch Order', function () {
+        dispatched = dispatchedOrder(restaurantId, user, data);
+    });
+    if (!dispatched) {
+        return;
+    }
+
+    const { orderId, delivery } = dispatched;
+
+    group(`Callbacks: ${pattern}`, function () {
+        // Unknown ids: a well-formed trip for a delivery the backend never created
+        const unknown = pattern === 'unknown_id';
+        const target = unknown
+            ? { deliveryOrderId: `unknown-${Date.now()}-${__VU}`, channelOrderId: null }
+            : delivery;
+        const callbacks = arrange(pattern, buildDeliveryCallbacks(orderId, target, DELIVERY_STATUS_SEQUENCE));
+
+        // Order before any callback: the floor for regressions and the ceiling until one is accepted
+        const before = fetchOrder(orderId);
+        let highestOrder = before ? statusRank(before.status) : -1;
+        let allowedOrder = highestOrder;
+        let acceptedStep = -1;  // Trip position of the furthest callback accepted in order
+        let highestFulfillment = fulfillmentRank(delivery);
+        const found = [];
+
+        // Counted once per order and kind - a broken state usually shows on every later read
+        const flag = (kind, detail) => {
+            if (found.includes(kind)) {
+                return;
+            }
+            found.push(kind);
+            violations.add(1, { pattern, kind });
+            console.warn(`Delivery callback violation (${pattern}/${kind}) on order ${orderId}: ${detail}`);
+        };
+
+        for (const callback of callbacks) {
+            const res = apiPost(ENDPOINTS.DELIVERY_CALLBACK, callback.payload);
+            const accepted = res.status >= 200 && res.status < 300;
+            callbackTime.add(res.timings.duration, tags);
+            callbackAcceptedRate.add(accepted ? 1 : 0, tags);
+
+            // Invalid callbacks may be rejected, but never with a server error
+            check(res, {
+                [`Callback ${callback.status} handled`]: (r) => r.status > 0 && r.status < 500,
+                'Unknown delivery rejected': (r) => !unknown || r.status >= 400,
+            }, tags);
+
+            // Only the next step of the trip (or a repeat of the current one) is legal
+            if (accepted && !unknown) {
+                const step = DELIVERY_STATUS_SEQUENCE.indexOf(callback.status);
+                if (step === acceptedStep + 1) {
+                    acceptedStep = step;
+                    allowedOrder = Math.max(allowedOrder, statusRank(ORDER_STATUS_CEILING[callback.status]));
+                } else if (step !== acceptedStep) {
+                    flag('out_of_order_accepted', `${callback.status} accepted after ` +
+                        `${acceptedStep >= 0 ? DELIVERY_STATUS_SEQUENCE[acceptedStep] : 'no callback'}`);
+                }
+            }
+            sleep(randomSleep(100, 300));
+
+            const order = fetchOrder(orderId);
+            const rank = order ? statusRank(order.status) : -1;
+            if (rank >= 0 && rank < highestOrder) {
+                flag('order_regression', `${order.status} after ${callback.status}`);
+            }
+            if (rank > allowedOrder) {
+                flag('impossible_transition', `${order.status} after ${callback.status} ` +
+                    `(${accepted ? 'accepted' : `rejected with ${res.status}`})`);
+            }
+            highestOrder = Math.max(highestOrder, rank);
+
+            const current = fetchDelivery(orderId);
+            const fulfillment = fulfillmentRank(current);
+            if (fulfillment >= 0 && fulfillment < highestFulfillment) {
+                flag('delivery_regression', `${current.record.fulfillment.status} after ${callback.status}`);
+            }
+            highestFulfillment = Math.max(highestFulfillment, fulfillment);
+        }
+
+        cleanRate.add(found.length === 0 ? 1 : 0, tags);
+    });
+
+    sleep(randomSleep(500, 1000));
+}
+
+export function setup() {
+    console.log('='.repeat(60));
+    console.log(`DELIVERY CALLBACK TEST - ${isSanityMode ? 'SANITY MODE' : 'INVALID CALLBACKS UNDER LOAD'}`);
+    console.log('='.repeat(60));
+    console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
+    console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
+    console.log(`Mode: ${isSanityMode ? 'sanity (every pattern once)' : 'load (multi-user)'}`);
+    console.log('');
+    console.log(`Patterns: ${PATTERNS.join(', ')}`);
+    console.log(`Trip: ${DELIVERY_STATUS_SEQUENCE.join(' → ')}`);
+    console.log('='.repeat(60));
+
+    if (!CONFIG.RESTAURANT_ID) {
+        throw new Error('RESTAURANT_ID is required!');
+    }
+
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    // Menu items for order payloads, menuSharingCode for the POS callbacks
+    const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
+    const restaurantData = fetchRestaurantLocation(CONFIG.RESTAURANT_ID);
+
+    if (!restaurantData?.menuSharingCode) {
+        console.warn('Could not fetch menuSharingCode from restaurant API - orders cannot be accepted');
+    }
+    console.log(`Loaded ${menuData?.items?.length || 0} menu items`);
+
+    return { startTime: Date.now(), menuData, menuSharingCode: restaurantData?.menuSharingCode, auth };
+}
+
+export function teardown(data) {
+    const duration = (Date.now() - data.startTime) / 1000 / 60;
+    console.log(`\nDelivery callback test completed in ${duration.toFixed(1)} minutes`);
+}
+
+/**
+ * Accepted share, clean orders, latency and violations per pattern
+ */
+function callbackReport(data) {
+    const lines = ['', '', '     DELIVERY CALLBACKS (accepted / clean orders / p95 callback / violations)'];
+
+    for (const pattern of PATTERNS) {
+        const tag = `pattern:${pattern}`;
+        const duration = submetric(data, 'delivery_callback_duration', tag);
+
+        if (!duration || !duration.values || !duration.values.count) {
+            lines.push(`     ${pattern.padEnd(14)} no callbacks sent`);
+            continue;
+        }
+
+        lines.push(`     ${pattern.padEnd(14)} ${percent(submetric(data, 'delivery_callback_accepted_rate', tag))} / ` +
+            `${percent(submetric(data, 'delivery_callback_clean_rate', tag))} / ${p95(duration)} / ` +
+            `${count(submetric(data, 'delivery_callback_violations', tag))}  (${duration.values.count} callbacks)`);
+    }
+
+    lines.push(violationsLine(data, 'delivery_callback_violations', VIOLATION_KINDS,
+        'No violations: no state moved backwards or past what the callbacks allowed'));
+
+    return lines.join('\n') + '\n';
+}
+
+export function handleSummary(data) {
+    return {
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + callbackReport(data) + failureCatalog(data),
+    };
+}
@@ -0,0 +1,422 @@
+/**
+ * Idempotency Test - Double Taps and Retries
+ *
+ * Mobile clients double-tap and gateways retry. Each iteration takes one order
+ * through the lifecycle and repeats every write that can arrive twice
+ * (CONFIG.DUPLICATE_REQUESTS copies):
+ * - order_create:      identical ORDER_CREATE posts fired in parallel
+ * - payment_verify:    PAYMENT_VERIFY repeated for the same razorpayOrderId
+ * - delivery_callback: every DELIVERY_CALLBACK payload repeated for its status
+ *
+ * Checks after each case:
+ * - order_create:      one order for the customer (distinct ids in the
+ *                      responses and orders listed since the burst)
+ * - payment_verify:    order reaches PAID with exactly one captured payment
+ *                      (unverified when neither payments nor history can be read)
+ * - delivery_callback: order status never moves back in the lifecycle
+ * Anything else is counted in idempotency_violations{case, kind}.
+ *
+ * Modes:
+ * - sanity: Single user, one order (~2 min)
+ * - load:   Ramping VUs (~5 min)
+ *
+ * Usage:
+ *   ./run-tests.sh idempotency --restaurant 324672 --mode sanity  # Quick validation
+ *   ./run-tests.sh idempotency --restaurant 324672                # Load test
+ *   ./run-tests.sh idempotency --restaurant 324672 --duplicates 5
+ */
+
+import { sleep, group } from 'k6';
+import { Trend, Rate, Counter } from 'k6/metrics';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import {
+    apiPost,
+    apiParallel,
+    extractId,
+    fetchAll,
+    check,
+    randomSleep,
+    endpointThresholds,
+    failureThresholds,
+    adoptSession,
+} from '../utils/helpers.js';
+import {
+    failureCatalog,
+    tagSelectors,
+    submetricThresholds,
+    submetric,
+    percent,
+    count,
+    p95,
+    violationsLine,
+} from '../utils/summary.js';
+import {
+    loginCustomer,
+    buildOrderPayload,
+    createPayment,
+    posUpdate,
+    fetchOrder,
+    waitForOrderStatus,
+    fetchDelivery,
+    sendDeliveryCallbacks,
+    statusRank,
+    paymentCaptures,
+    setupAuth,
+} from '../utils/order-flow.js';
+import {
+    generateUserPool,
+    getUserFromPool,
+    generatePaymentVerifyDto,
+    ORDER_LIFECYCLE,
+    DELIVERY_STATUS_SEQUENCE,
+    fetchMenuData,
+    fetchRestaurantLocation,
+} from '../data/test-data.js';
+
+const DUPLICATES = CONFIG.DUPLICATE_REQUESTS;
+
+// Repeated writes, in lifecycle order (tag values of case)
+const CASES = ['order_create', 'payment_verify', 'delivery_callback'];
+
+// What can go wrong (tag values of kind)
+const VIOLATION_KINDS = ['duplicate_order', 'duplicate_payment', 'state_regression'];
+
+// Time allowed for a status change to become visible on GET /order/{id}
+const STATUS_TIMEOUT_MS = 15000;
+
+// Orders of a burst are listed from this long before the earliest createdAt the creates returned
+const BURST_MARGIN_MS = 5000;
+
+// Custom metrics (tagged with case; request durations also with attempt: first | repeat)
+const requestTime = new Trend('idempotency_request_duration', true);
+const caseSuccessRate = new Rate('idempotency_case_rate');
+const violations = new Counter('idempotency_violations');
+const unverified = new Counter('idempotency_unverified');
+
+// Check if sanity mode
+const isSanityMode = CONFIG.USER_MODE === 'sanity';
+
+// Generate user pool (one customer per VU, so orders listed since a burst are the burst's own)
+const userPool = generateUserPool(isSanityMode ? 1 : 1000);
+
+// Scenario configurations
+const sanityScenario = {
+    executor: 'per-vu-iterations',
+    vus: 1,
+    iterations: 1,
+    maxDuration: '5m',
+};
+
+const loadScenario = {
+    executor: 'ramping-vus',
+    startVUs: 0,
+    stages: [
+        { duration: '1m', target: 5 },
+        { duration: '3m', target: 10 },
+        { duration: '1m', target: 0 },
+    ],
+};
+
+export const options = {
+    // count lets the summary tell a case that never ran from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
+    scenarios: {
+        idempotency: isSanityMode ? sanityScenario : selectScenario(loadScenario),
+    },
+    thresholds: {
+        ...endpointThresholds(),
+        ...sloThresholds('idempotency'),
+        ...failureThresholds(),
+        // Always-passing - they only make the per-case submetrics visible to handleSummary
+        ...submetricThresholds({
+            idempotency_case_rate: 'rate',
+            idempotency_violations: 'count',
+            idempotency_unverified: 'count',
+        }, tagSelectors('case', CASES)),
+        ...submetricThresholds({ idempotency_request_duration: 'max' },
+            CASES.flatMap((name) => [`case:${name},attempt:first`, `case:${name},attempt:repeat`])),
+        ...submetricThresholds({ idempotency_violations: 'count' }, tagSelectors('kind', VIOLATION_KINDS)),
+    },
+};
+
+// Count a violation and say which order it was seen on
+function violation(name, kind, orderId, detail) {
+    violations.add(1, { case: name, kind });
+    console.warn(`Idempotency violation (${name}/${kind}) on order ${orderId}: ${detail}`);
+}
+
+// createdAt of the order in a create response, in ms (null when missing)
+function createdAt(res) {
+    try {
+        const body = JSON.parse(res.body);
+        const order = Array.isArray(body.data) ? body.data[0] : body.data;
+        const time = Date.parse(order && order.createdAt);
+        return isNaN(time) ? null : time;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Fire identical order creates in parallel (double tap)
+ * @returns {string|null} Order ID (the first one returned)
+ */
+function duplicateOrderCreate(restaurantId, customerId, menuData) {
+    const payload = buildOrderPayload(restaurantId, customerId, menuData, { paymentType: 'CREDIT', orderType: '1' });
+
+    const responses = apiParallel(Array(DUPLICATES).fill({
+        method: 'POST',
+        endpoint: ENDPOINTS.ORDER_CREATE,
+        body: payload,
+        params: { schema: 'ORDER_CREATE' },
+    }));
+
+    const ids = [];
+    let earliest = null;
+    responses.forEach((res, i) => {
+        requestTime.add(res.timings.duration, { case: 'order_create', attempt: i === 0 ? 'first' : 'repeat' });
+        const id = res.status === 200 ? extractId(res) : null;
+        if (id && !ids.includes(id)) {
+            ids.push(id);
+        }
+        const time = id ? createdAt(res) : null;
+        if (time !== null && (earliest === null || time < earliest)) {
+            earliest = time;
+        }
+    });
+
+    if (!check(responses[0], { 'Order created': () => ids.length > 0 })) {
+        return null;
+    }
+
+    // A create that answered with an error can still have stored an order. The window
+    // is anchored on the backend's own clock (createdAt), not the load generator's
+    const listed = earliest === null ? [] : fetchAll(ENDPOINTS.ORDER_LIST, {
+        filters: { customerId, createdAt: { gt: new Date(earliest - BURST_MARGIN_MS).toISOString() } },
+        maxItems: DUPLICATES * 2,
+        params: { schema: 'ORDER_LIST' },
+    });
+    const created = Math.max(ids.length, listed.length);
+
+    const unique = check(responses[0], { 'One order per double tap': () => created === 1 }, { case: 'order_create' });
+    if (!unique) {
+        violation('order_create', 'duplicate_order', ids.join(','), `${created} orders from ${DUPLICATES} identical creates`);
+    }
+    caseSuccessRate.add(unique ? 1 : 0, { case: 'order_create' });
+    return ids[0];
+}
+
+/**
+ * Verify the same payment several times (client retry)
+ * @returns {boolean} Order is PAID
+ */
+function repeatedPaymentVerify(orderId) {
+    const paymentOrderId = createPayment(orderId);
+    if (!paymentOrderId) {
+        return false;
+    }
+
+    const verifyPayload = generatePaymentVerifyDto();
+    verifyPayload.razorpayOrderId = paymentOrderId;
+
+    let firstOk = false;
+    for (let i = 0; i < DUPLICATES; i++) {
+        const res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload, { schema: 'PAYMENT_VERIFY' });
+        requestTime.add(res.timings.duration, { case: 'payment_verify', attempt: i === 0 ? 'first' : 'repeat' });
+        if (i === 0) {
+            firstOk = check(res, { 'Payment verified': (r) => r.status === 200 });
+        } else {
+            // A repeat may be answered as a no-op or a conflict, but never as a server error
+            check(res, { 'Repeated verify handled': (r) => r.status > 0 && r.status < 500 }, { case: 'payment_verify' });
+        }
+        sleep(randomSleep(50, 150));
+    }
+
+    const { order, reached } = firstOk
+        ? waitForOrderStatus(orderId, [ORDER_LIFECYCLE.PAID], STATUS_TIMEOUT_MS)
+        : { order: null, reached: false };
+    if (!check(order, { 'Order PAID': () => reached })) {
+        return false;
+    }
+
+    const captures = paymentCaptures(orderId, order);
+    if (captures === null) {
+        // Without payment records or a status history "paid once" cannot be claimed
+        unverified.add(1, { case: 'payment_verify' });
+        return true;
+    }
+
+    const single = check(order, { 'One payment captured': () => captures === 1 }, { case: 'payment_verify' });
+    if (captures > 1) {
+        violation('payment_verify', 'duplicate_payment', orderId, `${captures} payments captured`);
+    }
+    caseSuccessRate.add(single ? 1 : 0, { case: 'payment_verify' });
+    return true;
+}
+
+/**
+ * Accept and dispatch the order, sending every delivery callback several times
+ * and reading the order back after each status
+ */
+function repeatedDeliveryCallbacks(orderId, menuSharingCode) {
+    let res = posUpdate(menuSharingCode, orderId, ORDER_LIFECYCLE.ACCEPTED);
+    if (!check(res, { 'Order accepted': (r) => r.status === 200 }) ||
+        !waitForOrderStatus(orderId, [ORDER_LIFECYCLE.ACCEPTED], STATUS_TIMEOUT_MS).reached) {
+        return;
+    }
+
+    res = apiPost(ENDPOINTS.DELIVERY_FULFILL(orderId), {});
+    if (!check(res, { 'Delivery fulfilled': (r) => r.status === 200 })) {
+        return;
+    }
+
+    sleep(randomSleep(200, 400));
+
+    const delivery = fetchDelivery(orderId);
+    if (!delivery) {
+        console.warn(`No delivery record found for order ${orderId}, skipping delivery callbacks`);
+        return;
+    }
+
+    // Highest lifecycle position seen so far - the order must never drop below it
+    let highest = statusRank(ORDER_LIFECYCLE.ACCEPTED);
+    let regressions = 0;
+
+    sendDeliveryCallbacks(orderId, delivery, DELIVERY_STATUS_SEQUENCE, {
+        repeat: DUPLICATES,
+        onStatus: (status, responses) => {
+            responses.forEach((r, i) => {
+                requestTime.add(r.timings.duration, { case: 'delivery_callback', attempt: i === 0 ? 'first' : 'repeat' });
+            });
+
+            const order = fetchOrder(orderId);
+            const rank = order ? statusRank(order.status) : -1;
+            if (rank >= 0 && rank < highest) {
+                regressions++;
+                violation('delivery_callback', 'state_regression', orderId,
+                    `${order.status} after repeated ${status} callbacks`);
+            }
+            highest = Math.max(highest, rank);
+        },
+    });
+
+    const delivered = waitForOrderStatus(orderId, [ORDER_LIFECYCLE.DELIVERED], STATUS_TIMEOUT_MS).reached;
+    check(null, { 'Order DELIVERED': () => delivered });
+    caseSuccessRate.add(regressions === 0 ? 1 : 0, { case: 'delivery_callback' });
+}
+
+export default function (data) {
+    adoptSession(data?.auth);
+    const restaurantId = CONFIG.RESTAURANT_ID;
+    const user = getUserFromPool(userPool, __VU);
+
+    const customerId = loginCustomer(user, restaurantId);
+    if (!customerId) {
+        return;
+    }
+
+    let orderId = null;
+    group('Duplicate Order Create', function () {
+        orderId = duplicateOrderCreate(restaurantId, customerId, data?.menuData);
+    });
+    if (!orderId) {
+        return;
+    }
+
+    sleep(randomSleep(200, 400));
+
+    let paid = false;
+    group('Repeated Payment Verify', function () {
+        paid = repeatedPaymentVerify(orderId);
+    });
+    if (!paid) {
+        return;
+    }
+
+    sleep(randomSleep(200, 400));
+
+    group('Repeated Delivery Callbacks', function () {
+        repeatedDeliveryCallbacks(orderId, data?.menuSharingCode);
+    });
+
+    sleep(randomSleep(500, 1000));
+}
+
+export function setup() {
+    console.log('='.repeat(60));
+    console.log(`IDEMPOTENCY TEST - ${isSanityMode ? 'SANITY MODE' : 'DUPLICATES UNDER LOAD'}`);
+    console.log('='.repeat(60));
+    console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
+    console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
+    console.log(`Mode: ${isSanityMode ? 'sanity (single order)' : 'load (multi-user)'}`);
+    console.log('');
+    console.log(`Cases: ${CASES.join(' → ')}`);
+    console.log(`Copies per repeated request: ${DUPLICATES}`);
+    console.log('='.repeat(60));
+
+    if (!CONFIG.RESTAURANT_ID) {
+        throw new Error('RESTAURANT_ID is required!');
+    }
+
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    // Menu items for order payloads, menuSharingCode for the POS callbacks
+    const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
+    const restaurantData = fetchRestaurantLocation(CONFIG.RESTAURANT_ID);
+
+    if (!restaurantData?.menuSharingCode) {
+        console.warn('Could not fetch menuSharingCode from restaurant API - delivery_callback cases will not run');
+    }
+    console.log(`Loaded ${menuData?.items?.length || 0} menu items`);
+
+    return { startTime: Date.now(), menuData, menuSharingCode: restaurantData?.menuSharingCode, auth };
+}
+
+export function teardown(data) {
+    const duration = (Date.now() - data.startTime) / 1000 / 60;
+    console.log(`\nIdempotency test completed in ${duration.toFixed(1)} minutes`);
+}
+
+/**
+ * Clean rate, latency of first vs repeated requests and violations per case
+ */
+function idempotencyReport(data) {
+    const lines = ['', '', '     IDEMPOTENCY (clean / p95 first / p95 repeat / violations)'];
+
+    for (const name of CASES) {
+        const rate = submetric(data, 'idempotency_case_rate', `case:${name}`);
+        const first = submetric(data, 'idempotency_request_duration', `case:${name},attempt:first`);
+        const unverifiedCount = count(submetric(data, 'idempotency_unverified', `case:${name}`));
+
+        if (!count(first)) {
+            lines.push(`     ${name.padEnd(18)} not run`);
+            continue;
+        }
+
+        lines.push(`     ${name.padEnd(18)} ${percent(rate)} / ${p95(first)} / ` +
+            `${p95(submetric(data, 'idempotency_request_duration', `case:${name},attempt:repeat`))} / ` +
+            `${count(submetric(data, 'idempotency_violations', `case:${name}`))}` +
+            `${unverifiedCount ? `  (${unverifiedCount} unverified)` : ''}`);
+    }
+
+    lines.push(violationsLine(data, 'idempotency_violations', VIOLATION_KINDS,
+        'No violations: no duplicate orders, payments or state regressions'));
+
+    return lines.join('\n') + '\n';
+}
+
+export function handleSummary(data) {
+    return {
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + idempotencyReport(data) + failureCatalog(data),
+    };
+}
@@ -3,7 +3,9 @@
  *
  * Simulates realistic mixed traffic:
  * - 40% Menu browsing
- * - 25% User journey (browse → login → order → payment)
+ * - 25% User journey (browse → login → order → payment), order types from
+ *   CONFIG.ORDER_TYPE_MIX (--order-types), payment types from CONFIG.PAYMENT_MIX
+ *   (--payments; COD orders stop after order creation)
  * - 20% Order tracking
  * - 15% Other operations (restaurants, customers, etc.)
  *
@@ -14,13 +16,23 @@
  * Usage:
  *   ./run-tests.sh load --restaurant 324672 --mode sanity  # Quick validation
  *   ./run-tests.sh load --restaurant 324672                # Full load test
+ *   ./run-tests.sh load --restaurant 324672 --payments CREDIT:60,UPI:25,COD:15
  */
 
-import { sleep, group, check } from 'k6';
+import { sleep, group } from 'k6';
 import { Trend, Rate, Counter } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
-import { CONFIG, ENDPOINTS, THRESHOLDS } from '../config.js';
-import { apiGet, apiPost, extractId, randomSleep } from '../utils/helpers.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiGet, apiPost, extractId, extractPaymentOrderId, randomSleep, weightedPick, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog, breakdownThresholds, breakdownReport } from '../utils/summary.js';
 import {
     generateLoginDto,
     generateVerifyOtpDto,
@@ -28,8 +40,11 @@ import {
     generateUserPool,
     getUserFromPool,
     fetchMenuData,
+    fetchTrackableOrderIds,
     generateDynamicOrderDto,
     generateOrderDto,
+    ORDER_TYPE_CODES,
+    ONLINE_PAYMENT_TYPES,
 } from '../data/test-data.js';
 
 // Custom metrics
@@ -74,21 +89,30 @@ const loadScenario = {
     ],
 };
 
+// Order flow success and duration per payment type (types with a share of the mix)
+const paymentTypeBreakdown = {
+    tag: 'payment_type',
+    values: CONFIG.PAYMENT_MIX.filter((entry) => entry.weight > 0).map((entry) => entry.name),
+    rate: 'order_success_rate',
+    trend: 'order_flow_duration',
+};
+
 export const options = {
+    // count lets the summary tell a payment type without samples from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
     scenarios: {
-        load_test: isSanityMode ? sanityScenario : loadScenario,
+        load_test: isSanityMode ? sanityScenario : selectScenario(loadScenario),
     },
     thresholds: {
-        ...THRESHOLDS,
-        'overall_success_rate': ['rate>0.90'],
-        'menu_success_rate': ['rate>0.95'],
-        'order_success_rate': ['rate>0.85'],
-        'menu_duration': ['p(95)<2000'],
-        'order_flow_duration': ['p(95)<15000'],
+        ...endpointThresholds(),
+        ...sloThresholds('load_test'),
+        ...failureThresholds(),
+        ...breakdownThresholds(paymentTypeBreakdown),
     },
 };
 
 export default function (data) {
+    adoptSession(data?.auth);
     const restaurantId = CONFIG.RESTAURANT_ID;
     const menuData = data?.menuData;
     const action = Math.random();
@@ -117,7 +141,7 @@ function browseMenu(restaurantId) {
 
         // Fetch menu
         let start = Date.now();
-        let res = apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId));
+        let res = apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId), { schema: 'MENU_CATEGORY' });
         apiTime += Date.now() - start;
         if (res.status !== 200) success = false;
         menuRequests.add(1);
@@ -126,7 +150,7 @@ function browseMenu(restaurantId) {
 
         // Fetch categories
         start = Date.now();
-        res = apiGet(ENDPOINTS.CATEGORY_LIST);
+        res = apiGet(ENDPOINTS.CATEGORY_LIST, { schema: 'CATEGORY_LIST' });
         apiTime += Date.now() - start;
         if (res.status !== 200) success = false;
         menuRequests.add(1);
@@ -150,6 +174,9 @@ function completeOrderFlow(restaurantId, menuData) {
     group('Order Flow', function () {
         const start = Date.now();
         const user = getUserFromPool(userPool, __VU);
+        const orderType = weightedPick(CONFIG.ORDER_TYPE_MIX);
+        const paymentType = weightedPick(CONFIG.PAYMENT_MIX);
+        const tags = { order_type: orderType, payment_type: paymentType };
         let customerId = null;
         let orderId = null;
         let success = false;
@@ -161,7 +188,7 @@ function completeOrderFlow(restaurantId, menuData) {
         if (res.status === 200) {
             sleep(randomSleep(100, 200));
             const verifyDto = generateVerifyOtpDto(user.mobile, restaurantId, CONFIG.LOAD_TEST_OTP);
-            res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto);
+            res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
 
             if (res.status === 200) {
                 try {
@@ -172,8 +199,8 @@ function completeOrderFlow(restaurantId, menuData) {
         }
 
         if (!customerId) {
-            orderFlowTime.add(Date.now() - start);
-            orderSuccessRate.add(0);
+            orderFlowTime.add(Date.now() - start, tags);
+            orderSuccessRate.add(0, tags);
             overallSuccessRate.add(0);
             return;
         }
@@ -184,57 +211,59 @@ function completeOrderFlow(restaurantId, menuData) {
         let orderPayload;
         if (menuData && menuData.items && menuData.items.length > 0) {
             orderPayload = generateDynamicOrderDto(restaurantId, customerId, menuData, {
-                paymentType: 'CREDIT',
-                orderType: '1',
+                paymentType: paymentType,
+                orderType: ORDER_TYPE_CODES[orderType],
             });
         } else {
             orderPayload = generateOrderDto(restaurantId, customerId, {
-                paymentType: 'CREDIT',
-                orderType: '1',
+                paymentType: paymentType,
+                orderType: ORDER_TYPE_CODES[orderType],
             });
         }
 
-        res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload);
-        orderRequests.add(1);
+        res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload, { schema: 'ORDER_CREATE' });
+        orderRequests.add(1, tags);
 
         if (res.status === 200) {
             orderId = extractId(res);
         }
 
         if (!orderId) {
-            orderFlowTime.add(Date.now() - start);
-            orderSuccessRate.add(0);
+            orderFlowTime.add(Date.now() - start, tags);
+            orderSuccessRate.add(0, tags);
             overallSuccessRate.add(0);
             return;
         }
 
-        ordersCreated.add(1);
+        ordersCreated.add(1, tags);
+
+        // COD is paid to the rider - the flow ends with the order
+        if (!ONLINE_PAYMENT_TYPES.includes(paymentType)) {
+            orderFlowTime.add(Date.now() - start, tags);
+            orderSuccessRate.add(1, tags);
+            overallSuccessRate.add(1);
+            return;
+        }
+
         sleep(randomSleep(200, 400));
 
         // Payment
-        res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {});
-        let paymentOrderId = null;
-
-        if (res.status === 200) {
-            try {
-                const body = JSON.parse(res.body);
-                paymentOrderId = body.data?.[0]?.paymentOrderId;
-            } catch (e) {}
-        }
+        res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {}, { schema: 'PAYMENT_CREATE' });
+        const paymentOrderId = res.status === 200 ? extractPaymentOrderId(res) : null;
 
         if (paymentOrderId) {
             sleep(randomSleep(100, 200));
             const verifyPayload = generatePaymentVerifyDto();
             verifyPayload.razorpayOrderId = paymentOrderId;
-            res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload);
+            res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload, { schema: 'PAYMENT_VERIFY' });
 
             if (res.status === 200) {
                 success = true;
             }
         }
 
-        orderFlowTime.add(Date.now() - start);
-        orderSuccessRate.add(success ? 1 : 0);
+        orderFlowTime.add(Date.now() - start, tags);
+        orderSuccessRate.add(success ? 1 : 0, tags);
         overallSuccessRate.add(success ? 1 : 0);
     });
 }
@@ -257,7 +286,7 @@ function trackOrders(orderIds) {
                 trackingRequests.add(1);
             } else if (action < 0.8) {
                 // 30% - Delivery status
-                const res = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId));
+                const res = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId), { schema: 'DELIVERY_STATUS' });
                 if (res.status !== 200 && res.status !== 404) success = false;
                 trackingRequests.add(1);
             } else {
@@ -280,7 +309,7 @@ function trackOrders(orderIds) {
 function otherOperations() {
     group('Other Operations', function () {
         const ops = [
-            () => apiGet(ENDPOINTS.RESTAURANT_LIST),
+            () => apiGet(ENDPOINTS.RESTAURANT_LIST, { schema: 'RESTAURANT_LIST' }),
             () => apiGet(ENDPOINTS.CUSTOMER_LIST),
             () => apiGet(ENDPOINTS.OFFER_LIST),
             () => apiGet(ENDPOINTS.FEE_LIST),
@@ -298,6 +327,8 @@ export function setup() {
     console.log(`LOAD TEST - ${isSanityMode ? 'SANITY MODE' : 'MIXED REALISTIC TRAFFIC'}`);
     console.log('='.repeat(60));
     console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
     console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
     console.log(`Mode: ${isSanityMode ? 'sanity (single user validation)' : 'load (multi-user)'}`);
     console.log('');
@@ -306,73 +337,26 @@ export function setup() {
     console.log('  25% - Order flow (login → order → payment)');
     console.log('  20% - Order tracking');
     console.log('  15% - Other operations');
-    console.log('');
-    if (isSanityMode) {
-        console.log('VUs: 1, Iterations: 4');
-        console.log('Duration: ~2 minutes');
-    } else {
-        console.log('Load Pattern: 0 → 25 → 50 → 100 → 100 → 50 → 0 VUs');
-        console.log('Duration: ~20 minutes');
-    }
+    console.log(`Order types: ${CONFIG.ORDER_TYPE_MIX.map((e) => `${Math.round(e.weight * 100)}% ${e.name}`).join(', ')}`);
+    console.log(`Payment types: ${CONFIG.PAYMENT_MIX.map((e) => `${Math.round(e.weight * 100)}% ${e.name}`).join(', ')}`);
     console.log('='.repeat(60));
 
     if (!CONFIG.RESTAURANT_ID) {
         throw new Error('RESTAURANT_ID is required!');
     }
 
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
     // Fetch menu data
     const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
 
     // Fetch trackable orders (same approach as tracking-stress-test)
-    console.log('\nFetching trackable orders (DELIVERED, OUT_FOR_PICKUP, OUT_FOR_DELIVERY)...');
-    const trackableStatuses = ['DELIVERED', 'OUT_FOR_PICKUP', 'OUT_FOR_DELIVERY'];
-    let allOrders = [];
-
-    for (const status of trackableStatuses) {
-        const res = apiGet(ENDPOINTS.ORDER_LIST_BY_STATUS(status));
-        if (res.status === 200) {
-            try {
-                const data = JSON.parse(res.body);
-                const orders = data.data || [];
-                console.log(`  - ${status}: ${orders.length} orders`);
-                allOrders = allOrders.concat(orders);
-            } catch (e) {
-                console.warn(`  - Could not parse ${status} orders`);
-            }
-        }
-    }
-
-    console.log(`Total orders found: ${allOrders.length}`);
-
-    // Filter orders that have fulfilled delivery records
-    console.log('Filtering orders with fulfilled delivery records...');
-    let orderIds = [];
-
-    for (const order of allOrders.slice(0, 150)) {
-        const orderId = order.id || order._id;
-        if (!orderId) continue;
-
-        const deliveryRes = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId));
-        if (deliveryRes.status === 200) {
-            try {
-                const deliveryData = JSON.parse(deliveryRes.body);
-                const deliveryStatus = deliveryData.data[0]?.status;
-
-                if (deliveryStatus && (deliveryStatus.toLowerCase() === 'fulfilled' || deliveryStatus.toLowerCase() === 'completed')) {
-                    orderIds.push(orderId);
-                }
-            } catch (e) {
-                // Skip orders with invalid delivery data
-            }
-        }
-
-        if (orderIds.length >= 100) break;
-    }
+    const orderIds = fetchTrackableOrderIds();
 
     console.log(`Loaded ${menuData?.items?.length || 0} menu items`);
     console.log(`Found ${orderIds.length} orders with fulfilled deliveries for tracking`);
 
-    return { startTime: Date.now(), menuData, orderIds };
+    return { startTime: Date.now(), menuData, orderIds, auth };
 }
 
 export function teardown(data) {
@@ -382,6 +366,8 @@ export function teardown(data) {
 
 export function handleSummary(data) {
     return {
-        'stdout': textSummary(data, { indent: ' ', enableColors: true }),
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) +
+            breakdownReport(data, 'PAYMENT TYPES (success / p95 order flow)', paymentTypeBreakdown) +
+            failureCatalog(data),
     };
 }
@@ -16,11 +16,19 @@
  *   ./run-tests.sh login-stress --restaurant 324672                # Full stress test
  */
 
-import { sleep, group, check } from 'k6';
+import { sleep, group } from 'k6';
 import { Trend, Rate, Counter } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
-import { CONFIG, ENDPOINTS, THRESHOLDS } from '../config.js';
-import { apiPost, randomSleep } from '../utils/helpers.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiPost, check, randomSleep, endpointThresholds, failureThresholds } from '../utils/helpers.js';
+import { failureCatalog } from '../utils/summary.js';
 import { generateLoginDto, generateVerifyOtpDto, generateUserPool, getUserFromPool } from '../data/test-data.js';
 
 // Custom metrics
@@ -60,14 +68,12 @@ const stressScenario = {
 
 export const options = {
     scenarios: {
-        login_stress: isSanityMode ? sanityScenario : stressScenario,
+        login_stress: isSanityMode ? sanityScenario : selectScenario(stressScenario),
     },
     thresholds: {
-        ...THRESHOLDS,
-        'login_success_rate': ['rate>0.95'],
-        'otp_request_duration': ['p(95)<2000'],
-        'otp_verify_duration': ['p(95)<2000'],
-        'total_login_duration': ['p(95)<4000'],
+        ...endpointThresholds(),
+        ...sloThresholds('login_stress'),
+        ...failureThresholds(),
     },
 };
 
@@ -111,7 +117,7 @@ export default function () {
         group('2. Verify OTP', function () {
             const start = Date.now();
             const verifyDto = generateVerifyOtpDto(user.mobile, restaurantId, CONFIG.LOAD_TEST_OTP);
-            const res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto);
+            const res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
 
             otpVerifyTime.add(Date.now() - start);
 
@@ -154,17 +160,12 @@ export function setup() {
     console.log(`LOGIN STRESS TEST - ${isSanityMode ? 'SANITY MODE' : 'STRESS TEST'}`);
     console.log('='.repeat(60));
     console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
     console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
     console.log(`Mode: ${isSanityMode ? 'sanity (single user validation)' : 'stress (multi-user)'}`);
     console.log(`Fixed OTP: ${CONFIG.LOAD_TEST_OTP}`);
     console.log(`User Pool: ${userPool.length} users`);
-    if (isSanityMode) {
-        console.log('VUs: 1 (single iteration)');
-        console.log('Duration: ~1 minute');
-    } else {
-        console.log('Load Pattern: 0 → 25 → 50 → 100 → 50 → 0 VUs');
-        console.log('Duration: ~5 minutes');
-    }
     console.log('='.repeat(60));
 
     if (!CONFIG.RESTAURANT_ID) {
@@ -181,6 +182,6 @@ export function teardown(data) {
 
 export function handleSummary(data) {
     return {
-        'stdout': textSummary(data, { indent: ' ', enableColors: true }),
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + failureCatalog(data),
     };
 }
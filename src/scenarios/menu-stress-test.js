@@ -2,6 +2,7 @@
  * Menu Stress Test - Menu Browsing Under Heavy Load
  *
  * Simulates heavy menu browsing:
+ * - Load the menu screen (menu, addons, variations, offers in parallel)
  * - Fetch categories
  * - Fetch items
  * - Fetch addons
@@ -17,11 +18,20 @@
  *   ./run-tests.sh menu-stress --restaurant 324672                # Full stress test
  */
 
-import { sleep, group, check } from 'k6';
+import { sleep, group } from 'k6';
 import { Trend, Rate, Counter } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
-import { CONFIG, ENDPOINTS, THRESHOLDS } from '../config.js';
-import { apiGet, randomSleep } from '../utils/helpers.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiGet, apiBatch, check, randomSleep, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog } from '../utils/summary.js';
 
 // Custom metrics
 const menuFetchTime = new Trend('menu_fetch_duration');
@@ -57,18 +67,17 @@ const stressScenario = {
 
 export const options = {
     scenarios: {
-        menu_stress: isSanityMode ? sanityScenario : stressScenario,
+        menu_stress: isSanityMode ? sanityScenario : selectScenario(stressScenario),
     },
     thresholds: {
-        ...THRESHOLDS,
-        'menu_success_rate': ['rate>0.95'],
-        'menu_fetch_duration': ['p(95)<2000'],
-        'category_fetch_duration': ['p(95)<1500'],
-        'item_fetch_duration': ['p(95)<1500'],
+        ...endpointThresholds(),
+        ...sloThresholds('menu_stress'),
+        ...failureThresholds(),
     },
 };
 
-export default function () {
+export default function (data) {
+    adoptSession(data?.auth);
     const restaurantId = CONFIG.RESTAURANT_ID;
 
     // Simulate user browsing behavior
@@ -101,10 +110,17 @@ function fetchFullMenu(restaurantId) {
             return;
         }
 
+        // Menu screen: the app loads these in parallel
         const start = Date.now();
-        const res = apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId));
+        const [res, addonRes, variationRes, offerRes] = apiBatch('menu', [
+            { endpoint: ENDPOINTS.MENU_CATEGORY(restaurantId), params: { schema: 'MENU_CATEGORY' } },
+            { endpoint: ENDPOINTS.ADDON_GROUP_LIST },
+            { endpoint: ENDPOINTS.VARIATION_LIST },
+            { endpoint: ENDPOINTS.OFFER_LIST },
+        ]);
         const duration = Date.now() - start;
 
+        // Wall time of the whole menu load, counted as one menu request
         menuFetchTime.add(duration);
         menuRequests.add(1);
 
@@ -112,6 +128,9 @@ function fetchFullMenu(restaurantId) {
             'Menu fetch status 200': (r) => r.status === 200,
             'Menu fetch < 2s': (r) => r.timings.duration < 2000,
         });
+        check(addonRes, { 'Menu screen addons 200': (r) => r.status === 200 });
+        check(variationRes, { 'Menu screen variations 200': (r) => r.status === 200 });
+        check(offerRes, { 'Menu screen offers 200': (r) => r.status === 200 });
 
         menuSuccessRate.add(success ? 1 : 0);
 
@@ -124,7 +143,7 @@ function fetchFullMenu(restaurantId) {
 function fetchCategories() {
     group('Category Fetch', function () {
         const start = Date.now();
-        const res = apiGet(ENDPOINTS.CATEGORY_LIST);
+        const res = apiGet(ENDPOINTS.CATEGORY_LIST, { schema: 'CATEGORY_LIST' });
         const duration = Date.now() - start;
 
         categoryFetchTime.add(duration);
@@ -195,18 +214,15 @@ export function setup() {
     console.log(`MENU STRESS TEST - ${isSanityMode ? 'SANITY MODE' : 'STRESS TEST'}`);
     console.log('='.repeat(60));
     console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
     console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'Not set (will skip full menu)'}`);
     console.log(`Mode: ${isSanityMode ? 'sanity (single user validation)' : 'stress (multi-user)'}`);
-    if (isSanityMode) {
-        console.log('VUs: 1, Iterations: 5');
-        console.log('Duration: ~1 minute');
-    } else {
-        console.log('Load Pattern: 0 → 50 → 75 → 100 → 90 → 0 VUs');
-        console.log('Duration: ~5 minutes');
-    }
     console.log('='.repeat(60));
 
-    return { startTime: Date.now() };
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    return { startTime: Date.now(), auth };
 }
 
 export function teardown(data) {
@@ -216,6 +232,6 @@ export function teardown(data) {
 
 export function handleSummary(data) {
     return {
-        'stdout': textSummary(data, { indent: ' ', enableColors: true }),
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + failureCatalog(data),
     };
 }
@@ -0,0 +1,319 @@
+/**
+ * Order Cancellation Test - Cancel at Every Lifecycle Stage
+ *
+ * Each iteration takes one order to a stage and cancels it from one side:
+ * - Stages: CREATED → PAID → ACCEPTED → OUT_FOR_DELIVERY
+ * - Sides:  customer (PATCH /order/{id}) or POS (PetPooja callback, status -1)
+ * Iterations cycle through all 8 stage/side combinations.
+ *
+ * After the cancellation the test checks:
+ * - Order: reaches CANCELLED (polled, time until visible is measured)
+ * - Payment: paymentStatus of the order shows a refund once it was paid,
+ *   and no capture when it was not
+ * - Delivery: the delivery record is cancelled once a rider was dispatched
+ *
+ * Modes:
+ * - sanity: Single user, every combination once (~5 min)
+ * - load:   Ramping VUs (~5 min)
+ *
+ * Usage:
+ *   ./run-tests.sh cancellation --restaurant 324672 --mode sanity  # Quick validation
+ *   ./run-tests.sh cancellation --restaurant 324672                # Load test
+ */
+
+import { sleep, group } from 'k6';
+import exec from 'k6/execution';
+import { Trend, Rate } from 'k6/metrics';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiPost, apiPatch, check, randomSleep, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { failureCatalog, submetricThresholds, submetric, percent, p95 } from '../utils/summary.js';
+import {
+    loginCustomer,
+    createOrder,
+    payOrder,
+    posUpdate,
+    waitForOrderStatus,
+    fetchDelivery,
+    sendDeliveryCallbacks,
+    setupAuth,
+} from '../utils/order-flow.js';
+import {
+    generateUserPool,
+    getUserFromPool,
+    generateOrderCancelDto,
+    ORDER_LIFECYCLE,
+    fetchMenuData,
+    fetchRestaurantLocation,
+} from '../data/test-data.js';
+
+// Stage an order reaches before it is cancelled, in lifecycle order
+const CANCEL_STAGES = ['CREATED', 'PAID', 'ACCEPTED', 'OUT_FOR_DELIVERY'];
+
+// Who cancels: the customer app or the restaurant POS
+const CANCEL_SIDES = ['customer', 'pos'];
+
+// Delivery callbacks that take an order out for delivery
+const DISPATCH_SEQUENCE = ['CREATED', 'OUT_FOR_PICKUP', 'PICKED_UP', 'OUT_FOR_DELIVERY'];
+
+// Expected side effects of a cancellation per stage
+const EXPECTED = {
+    CREATED: { refund: false, deliveryCancelled: false },
+    PAID: { refund: true, deliveryCancelled: false },
+    ACCEPTED: { refund: true, deliveryCancelled: false },
+    OUT_FOR_DELIVERY: { refund: true, deliveryCancelled: true },
+};
+const REFUND_STATUSES = ['REFUNDED', 'REFUND_INITIATED', 'REFUND_PENDING'];
+const CAPTURED_STATUSES = ['PAID', 'CAPTURED'];
+
+// Time allowed for a status change to become visible on GET /order/{id}
+const STATUS_TIMEOUT_MS = 15000;
+
+// Custom metrics (tagged with stage + side)
+const cancelTime = new Trend('cancellation_duration', true);
+const cancelVisibleTime = new Trend('cancellation_visible_duration', true);
+const cancelSuccessRate = new Rate('cancellation_success_rate');
+const cancelStateRate = new Rate('cancellation_state_rate');
+const stageReachedRate = new Rate('cancellation_stage_reached_rate');
+
+// Check if sanity mode
+const isSanityMode = CONFIG.USER_MODE === 'sanity';
+
+// Generate user pool
+const userPool = generateUserPool(isSanityMode ? 1 : 500);
+
+// Scenario configurations
+const sanityScenario = {
+    executor: 'per-vu-iterations',
+    vus: 1,
+    iterations: CANCEL_STAGES.length * CANCEL_SIDES.length,  // Every combination once
+    maxDuration: '15m',
+};
+
+const loadScenario = {
+    executor: 'ramping-vus',
+    startVUs: 0,
+    stages: [
+        { duration: '1m', target: 5 },
+        { duration: '3m', target: 10 },
+        { duration: '1m', target: 0 },
+    ],
+};
+
+// Every stage / side combination with its tag selector
+const COMBINATIONS = CANCEL_STAGES.flatMap((stage) => CANCEL_SIDES.map((side) => ({
+    stage,
+    side,
+    tag: `stage:${stage},side:${side}`,
+})));
+
+export const options = {
+    // count lets the summary tell a combination without samples from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
+    scenarios: {
+        order_cancellation: isSanityMode ? sanityScenario : selectScenario(loadScenario),
+    },
+    thresholds: {
+        ...endpointThresholds(),
+        ...sloThresholds('order_cancellation'),
+        ...failureThresholds(),
+        // Always-passing - they only make the per-combination submetrics visible to handleSummary
+        ...submetricThresholds({
+            cancellation_success_rate: 'rate',
+            cancellation_state_rate: 'rate',
+            cancellation_duration: 'max',
+            cancellation_visible_duration: 'max',
+        }, COMBINATIONS.map((c) => c.tag)),
+    },
+};
+
+// Stage / side for this iteration, cycling through every combination
+function pickCombination() {
+    return COMBINATIONS[exec.scenario.iterationInTest % COMBINATIONS.length];
+}
+
+/**
+ * Take an order from CREATED up to the target stage
+ * @returns {boolean} Order reached the stage
+ */
+function advanceToStage(orderId, stage, menuSharingCode) {
+    const target = CANCEL_STAGES.indexOf(stage);
+
+    if (target >= CANCEL_STAGES.indexOf('PAID')) {
+        if (!payOrder(orderId) || !waitForOrderStatus(orderId, [ORDER_LIFECYCLE.PAID], STATUS_TIMEOUT_MS).reached) {
+            return false;
+        }
+    }
+
+    if (target >= CANCEL_STAGES.indexOf('ACCEPTED')) {
+        const res = posUpdate(menuSharingCode, orderId, ORDER_LIFECYCLE.ACCEPTED);
+        if (!check(res, { 'Order accepted': (r) => r.status === 200 }) ||
+            !waitForOrderStatus(orderId, [ORDER_LIFECYCLE.ACCEPTED], STATUS_TIMEOUT_MS).reached) {
+            return false;
+        }
+    }
+
+    if (target >= CANCEL_STAGES.indexOf('OUT_FOR_DELIVERY')) {
+        const res = apiPost(ENDPOINTS.DELIVERY_FULFILL(orderId), {});
+        if (!check(res, { 'Delivery fulfilled': (r) => r.status === 200 })) {
+            return false;
+        }
+
+        sleep(randomSleep(200, 400));
+
+        const delivery = fetchDelivery(orderId);
+        if (!delivery) {
+            console.warn(`No delivery record found for order ${orderId}, cannot dispatch`);
+            return false;
+        }
+        if (!sendDeliveryCallbacks(orderId, delivery, DISPATCH_SEQUENCE) ||
+            !waitForOrderStatus(orderId, [ORDER_LIFECYCLE.OUT_FOR_DELIVERY], STATUS_TIMEOUT_MS).reached) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Cancel from the customer app or the POS
+function cancelOrder(orderId, side, menuSharingCode) {
+    if (side === 'customer') {
+        return apiPatch(ENDPOINTS.ORDER_UPDATE(orderId), generateOrderCancelDto('Customer changed their mind'));
+    }
+    return posUpdate(menuSharingCode, orderId, ORDER_LIFECYCLE.CANCELLED, { cancelReason: 'Item out of stock' });
+}
+
+export default function (data) {
+    adoptSession(data?.auth);
+    const restaurantId = CONFIG.RESTAURANT_ID;
+    const user = getUserFromPool(userPool, __VU);
+    const { stage, side } = pickCombination();
+    const tags = { stage, side };
+
+    let orderId = null;
+    let reached = false;
+
+    group(`Reach ${stage}`, function () {
+        const customerId = loginCustomer(user, restaurantId);
+        orderId = customerId && createOrder(restaurantId, customerId, data?.menuData, {
+            paymentType: 'CREDIT',
+            orderType: '1',
+        });
+        reached = !!orderId && advanceToStage(orderId, stage, data?.menuSharingCode);
+        stageReachedRate.add(reached ? 1 : 0, tags);
+    });
+
+    if (!reached) {
+        return;
+    }
+
+    sleep(randomSleep(200, 400));
+
+    group(`Cancel at ${stage} (${side})`, function () {
+        const start = Date.now();
+        const res = cancelOrder(orderId, side, data?.menuSharingCode);
+        cancelTime.add(Date.now() - start, tags);
+
+        const accepted = check(res, { 'Cancellation accepted': (r) => r.status === 200 }, tags);
+        const { order, reached: cancelled } = accepted
+            ? waitForOrderStatus(orderId, [ORDER_LIFECYCLE.CANCELLED], STATUS_TIMEOUT_MS)
+            : { order: null, reached: false };
+
+        check(order, { 'Order CANCELLED': () => cancelled }, tags);
+        cancelSuccessRate.add(cancelled ? 1 : 0, tags);
+        if (!cancelled) {
+            return;
+        }
+        cancelVisibleTime.add(Date.now() - start, tags);
+
+        // Payment and delivery side effects
+        const expected = EXPECTED[stage];
+        const paymentStatus = String(order.paymentStatus || order.payment?.status || '').toUpperCase();
+        const delivery = fetchDelivery(orderId);
+        const deliveryStatus = delivery ? String(delivery.status || '').toLowerCase() : null;
+
+        const consistent = check(order, {
+            'Payment refunded': () => !expected.refund || REFUND_STATUSES.includes(paymentStatus),
+            'No payment captured': () => expected.refund || !CAPTURED_STATUSES.includes(paymentStatus),
+            'Delivery cancelled': () => !expected.deliveryCancelled || deliveryStatus === 'cancelled',
+            'No active delivery': () => expected.deliveryCancelled || !delivery || deliveryStatus === 'cancelled',
+        }, tags);
+        cancelStateRate.add(consistent ? 1 : 0, tags);
+    });
+
+    sleep(randomSleep(500, 1000));
+}
+
+export function setup() {
+    console.log('='.repeat(60));
+    console.log(`ORDER CANCELLATION TEST - ${isSanityMode ? 'SANITY MODE' : 'CANCEL UNDER LOAD'}`);
+    console.log('='.repeat(60));
+    console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
+    console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
+    console.log(`Mode: ${isSanityMode ? 'sanity (every combination once)' : 'load (multi-user)'}`);
+    console.log('');
+    console.log(`Stages: ${CANCEL_STAGES.join(' → ')}`);
+    console.log(`Sides: ${CANCEL_SIDES.join(', ')}`);
+    console.log('='.repeat(60));
+
+    if (!CONFIG.RESTAURANT_ID) {
+        throw new Error('RESTAURANT_ID is required!');
+    }
+
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    // Menu items for order payloads, menuSharingCode for the POS callbacks
+    const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
+    const restaurantData = fetchRestaurantLocation(CONFIG.RESTAURANT_ID);
+
+    if (!restaurantData?.menuSharingCode) {
+        console.warn('Could not fetch menuSharingCode from restaurant API - POS cancellations will fail');
+    }
+    console.log(`Loaded ${menuData?.items?.length || 0} menu items`);
+
+    return { startTime: Date.now(), menuData, menuSharingCode: restaurantData?.menuSharingCode, auth };
+}
+
+export function teardown(data) {
+    const duration = (Date.now() - data.startTime) / 1000 / 60;
+    console.log(`\nCancellation test completed in ${duration.toFixed(1)} minutes`);
+}
+
+/**
+ * Success, state consistency and latency per stage / side
+ */
+function cancellationReport(data) {
+    const lines = ['', '', '     CANCELLATIONS (success / states ok / p95 request / p95 until CANCELLED)'];
+
+    for (const { stage, side, tag } of COMBINATIONS) {
+        const request = submetric(data, 'cancellation_duration', tag);
+        const label = `${stage} / ${side}`.padEnd(28);
+
+        if (!request || !request.values || !request.values.count) {
+            lines.push(`     ${label} no cancellations (stage not reached)`);
+            continue;
+        }
+
+        lines.push(`     ${label} ${percent(submetric(data, 'cancellation_success_rate', tag), 0)} / ` +
+            `${percent(submetric(data, 'cancellation_state_rate', tag), 0)} / ` +
+            `${p95(request)} / ${p95(submetric(data, 'cancellation_visible_duration', tag))}  ` +
+            `(${request.values.count} orders)`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+export function handleSummary(data) {
+    return {
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + cancellationReport(data) + failureCatalog(data),
+    };
+}
@@ -13,9 +13,25 @@
  * 7. Verify PAID status (5s wait)
  * 8. POS Callback (ACCEPTED)
  * 9. Fulfill Delivery (5s wait)
- * 10. Delivery Callbacks: CREATED → OUT_FOR_PICKUP → PICKED_UP → OUT_FOR_DELIVERY → DELIVERED
+ * 10. Delivery Callbacks: sequence of the VU's delivery profile (default minimal:
+ *     CREATED → OUT_FOR_PICKUP → PICKED_UP → OUT_FOR_DELIVERY → DELIVERED),
+ *     with rider search → assignment at CREATED and, for CONFIG.RIDER_REASSIGN_RATE
+ *     of the orders, unassignment → reassignment to another rider after OUT_FOR_PICKUP.
+ *     ORDER_TRACK and DELIVERY_RIDER_LOCATION must report the current rider after each change.
  * 11. User Tracking (verify delivered)
  *
+ * Order types follow CONFIG.ORDER_TYPE_MIX (default: all delivery). Pickup and
+ * dine-in orders skip the address / quote phase and delivery fulfillment: the
+ * POS takes them from ACCEPTED through FOOD_READY to DELIVERED (handed over).
+ *
+ * Payment types follow CONFIG.PAYMENT_MIX (default: all CREDIT). COD orders
+ * skip phases 5-7 (no online payment) and the rider collects the order total
+ * (cod_amount in the delivery callbacks).
+ *
+ * Delivery profiles follow CONFIG.DELIVERY_PROFILES (default: all minimal).
+ * Each VU picks one of DELIVERY_SEQUENCE_PROFILES - minimal, full (adds
+ * REACHED_PICKUP / REACHED_DELIVERY) or with_transit (full + IN_TRANSIT).
+ *
  * Modes:
  * - sanity: Single user, single order (~5 min) - for script validation
  * - single: Ramping VUs load test (~15 min)
@@ -25,13 +41,27 @@
  *   ./run-tests.sh lifecycle --restaurant 324672 --mode sanity   # Quick validation
  *   ./run-tests.sh lifecycle --restaurant 324672                 # Load test
  *   ./run-tests.sh lifecycle --restaurant 324672 --mode multi --orders 100
+ *   ./run-tests.sh lifecycle --restaurant 324672 --order-types delivery:60,pickup:30,dine_in:10
+ *   ./run-tests.sh lifecycle --restaurant 324672 --payments CREDIT:50,UPI:30,COD:20
+ *   ./run-tests.sh lifecycle --restaurant 324672 --delivery-profiles minimal:50,with_transit:50
+ *   ./run-tests.sh lifecycle --restaurant 324672 --rider-reassign 0.5
  */
 
-import { sleep, group, check } from 'k6';
+import { sleep, group } from 'k6';
+import exec from 'k6/execution';
 import { Trend, Rate, Counter } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
-import { CONFIG, ENDPOINTS, THRESHOLDS } from '../config.js';
-import { apiGet, apiPost, extractId, randomSleep } from '../utils/helpers.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiGet, apiPost, extractId, extractPaymentOrderId, check, randomSleep, weightedPick, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { failureCatalog, breakdownThresholds, breakdownReport } from '../utils/summary.js';
+import { waitForTrackedRider, setupAuth } from '../utils/order-flow.js';
 import {
     generateLoginDto,
     generateVerifyOtpDto,
@@ -41,7 +71,13 @@ import {
     generateOrderStatusUpdate,
     generateDeliveryCallback,
     ORDER_LIFECYCLE,
-    DELIVERY_STATUS_SEQUENCE,
+    ORDER_TYPE_CODES,
+    ONLINE_PAYMENT_TYPES,
+    POS_STATUS_PROGRESSION,
+    DELIVERY_SEQUENCE_PROFILES,
+    DELIVERY_STATUS_OFFSETS,
+    pickRiders,
+    riderTrip,
     fetchMenuData,
     fetchRestaurantLocation,
     generateDynamicOrderDto,
@@ -56,6 +92,7 @@ const orderSuccessRate = new Rate('order_success_rate');
 const paymentSuccessRate = new Rate('payment_success_rate');
 const posSuccessRate = new Rate('pos_success_rate');
 const deliverySuccessRate = new Rate('delivery_success_rate');
+const riderTrackingRate = new Rate('rider_tracking_rate');
 
 const menuBrowseTime = new Trend('menu_browse_duration');
 const loginTime = new Trend('login_duration');
@@ -65,6 +102,7 @@ const paymentVerifyTime = new Trend('payment_verify_duration');
 const posTime = new Trend('pos_duration');
 const deliveryTime = new Trend('delivery_duration');
 const trackingTime = new Trend('tracking_duration');
+const riderTrackingTime = new Trend('rider_tracking_duration');
 const totalLifecycleTime = new Trend('total_lifecycle_duration');
 
 const ordersCompleted = new Counter('orders_completed');
@@ -79,6 +117,12 @@ const orderCount = isSanityMode ? 1 : CONFIG.ORDER_COUNT;
 // Generate user pool
 const userPool = generateUserPool(userCount);
 
+// Delivery callback sequence of this VU (init code runs once per VU)
+const deliveryProfile = weightedPick(CONFIG.DELIVERY_PROFILES);
+
+// Time allowed for a rider change to show on the tracking endpoints
+const RIDER_TRACKING_TIMEOUT_MS = 10000;
+
 // Scenario configurations
 const sanityScenario = {
     executor: 'per-vu-iterations',
@@ -110,37 +154,70 @@ const loadScenario = {
 // Select scenario based on mode
 function getScenario() {
     if (isSanityMode) return sanityScenario;
-    if (isMultiUserMode) return multiScenario;
-    return loadScenario;
+    return selectScenario(isMultiUserMode ? multiScenario : loadScenario);
 }
 
+// Lifecycle success and duration per order type / payment type (entries with a share of the mix)
+function lifecycleBreakdown(tag, mix) {
+    return {
+        tag,
+        values: mix.filter((entry) => entry.weight > 0).map((entry) => entry.name),
+        rate: 'lifecycle_success_rate',
+        trend: 'total_lifecycle_duration',
+    };
+}
+
+const orderTypeBreakdown = lifecycleBreakdown('order_type', CONFIG.ORDER_TYPE_MIX);
+const paymentTypeBreakdown = lifecycleBreakdown('payment_type', CONFIG.PAYMENT_MIX);
+
+// Delivery phase success and duration per delivery profile (delivery orders only)
+const deliveryProfileBreakdown = {
+    ...lifecycleBreakdown('delivery_profile', CONFIG.DELIVERY_PROFILES),
+    rate: 'delivery_success_rate',
+    trend: 'delivery_duration',
+};
+
 export const options = {
+    // count lets the summary tell an order / payment type without samples from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
     scenarios: {
         order_lifecycle: getScenario(),
     },
     thresholds: {
-        ...THRESHOLDS,
-        'lifecycle_success_rate': ['rate>0.80'],
-        'login_success_rate': ['rate>0.95'],
-        'order_success_rate': ['rate>0.90'],
-        'payment_success_rate': ['rate>0.90'],
-        'pos_success_rate': ['rate>0.90'],
-        'delivery_success_rate': ['rate>0.85'],
-        'total_lifecycle_duration': ['p(95)<45000'],
+        ...endpointThresholds(),
+        ...sloThresholds('order_lifecycle'),
+        ...failureThresholds(),
+        ...breakdownThresholds(orderTypeBreakdown),
+        ...breakdownThresholds(paymentTypeBreakdown),
+        ...breakdownThresholds(deliveryProfileBreakdown),
     },
 };
 
 export default function (data) {
+    adoptSession(data?.auth);
     const restaurantId = CONFIG.RESTAURANT_ID;
     const menuData = data?.menuData;
     const restaurantLocation = data?.restaurantLocation;
     const menuSharingCode = data?.menuSharingCode;
     const user = getUserFromPool(userPool, __VU);
 
+    // Order type of this iteration, tagged on every metric it emits
+    const orderTypeName = weightedPick(CONFIG.ORDER_TYPE_MIX);
+    const orderType = ORDER_TYPE_CODES[orderTypeName];
+    const isDelivery = orderType === ORDER_TYPE_CODES.delivery;
+    exec.vu.metrics.tags.order_type = orderTypeName;
+
+    // Payment type of this iteration (COD has no online payment)
+    const paymentType = weightedPick(CONFIG.PAYMENT_MIX);
+    const isOnlinePayment = ONLINE_PAYMENT_TYPES.includes(paymentType);
+    exec.vu.metrics.tags.payment_type = paymentType;
+    exec.vu.metrics.tags.delivery_profile = deliveryProfile;
+
     const lifecycleStart = Date.now();
     let lifecycleSuccess = false;
     let customerId = null;
     let orderId = null;
+    let orderTotal = 0;
     let paymentOrderId = null;
 
     // ========================================
@@ -150,7 +227,7 @@ export default function (data) {
         const start = Date.now();
 
         // Fetch menu
-        let res = apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId));
+        let res = apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId), { schema: 'MENU_CATEGORY' });
         check(res, { 'Menu loaded': (r) => r.status === 200 });
 
         sleep(randomSleep(300, 600));
@@ -184,7 +261,7 @@ export default function (data) {
 
         // Verify OTP
         const verifyDto = generateVerifyOtpDto(user.mobile, restaurantId, CONFIG.LOAD_TEST_OTP);
-        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto);
+        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
 
         const success = check(res, {
             'Login successful': (r) => r.status === 200,
@@ -212,52 +289,55 @@ export default function (data) {
     // ========================================
     // PHASE 3: ADDRESS & DELIVERY QUOTE
     // ========================================
+    // Pickup and dine-in orders have no delivery address
     let addressId = null;
-    group('Phase 3: Address & Delivery Quote', function () {
-        // Fetch customer addresses (200 = has addresses, 404 = no addresses - both are valid)
-        let res = apiGet(`${ENDPOINTS.ADDRESS_LIST}?customerId_eq=${customerId}`);
-        check(res, { 'Address API responded': (r) => r.status === 200 || r.status === 404 });
-
-        // Parse addresses and get first available address (if any exist)
-        if (res.status === 200) {
-            try {
-                const body = JSON.parse(res.body);
-                const addresses = body.data || [];
-                if (addresses.length > 0) {
-                    const defaultAddr = addresses.find(a => a.isDefault);
-                    addressId = defaultAddr?.id || addresses[0]?.id || addresses[0]?._id;
-                }
-            } catch (e) {
-                console.warn(`Failed to parse addresses: ${e.message}`);
-            }
-        }
-
-        // If no address exists, create one for this customer
-        if (!addressId) {
-            console.log(`No address found for customer ${customerId}, creating one...`);
-            const addressPayload = generateAddressDto(customerId, restaurantLocation);
-            res = apiPost(ENDPOINTS.ADDRESS_CREATE, addressPayload);
+    if (isDelivery) {
+        group('Phase 3: Address & Delivery Quote', function () {
+            // Fetch customer addresses (200 = has addresses, 404 = no addresses - both are valid)
+            let res = apiGet(`${ENDPOINTS.ADDRESS_LIST}?customerId_eq=${customerId}`, { schema: 'ADDRESS_LIST' });
+            check(res, { 'Address API responded': (r) => r.status === 200 || r.status === 404 });
 
+            // Parse addresses and get first available address (if any exist)
             if (res.status === 200) {
                 try {
                     const body = JSON.parse(res.body);
-                    console.log(`Created address: ${body.data}`);
-                    addressId = body.data?.id || body.data?._id || body.data?.[0]?.id;
+                    const addresses = body.data || [];
+                    if (addresses.length > 0) {
+                        const defaultAddr = addresses.find(a => a.isDefault);
+                        addressId = defaultAddr?.id || addresses[0]?.id || addresses[0]?._id;
+                    }
                 } catch (e) {
-                    console.warn(`Failed to parse created address: ${e.message}`);
+                    console.warn(`Failed to parse addresses: ${e.message}`);
                 }
             }
-        }
 
-        if (!addressId) {
-            console.warn('No address available, using fallback');
-            addressId = '106335'; // Fallback to default
-        }
+            // If no address exists, create one for this customer
+            if (!addressId) {
+                console.log(`No address found for customer ${customerId}, creating one...`);
+                const addressPayload = generateAddressDto(customerId, restaurantLocation);
+                res = apiPost(ENDPOINTS.ADDRESS_CREATE, addressPayload, { schema: 'ADDRESS_CREATE' });
+
+                if (res.status === 200) {
+                    try {
+                        const body = JSON.parse(res.body);
+                        console.log(`Created address: ${body.data}`);
+                        addressId = body.data?.id || body.data?._id || body.data?.[0]?.id;
+                    } catch (e) {
+                        console.warn(`Failed to parse created address: ${e.message}`);
+                    }
+                }
+            }
 
-        // Get delivery quote with customer's actual address
-        res = apiGet(`${ENDPOINTS.DELIVERY_QUOTE(restaurantId)}?addressId=${addressId}`);
-        check(res, { 'Quote received': (r) => r.status === 200 || r.status === 404 });
-    });
+            if (!addressId) {
+                console.warn('No address available, using fallback');
+                addressId = '106335'; // Fallback to default
+            }
+
+            // Get delivery quote with customer's actual address
+            res = apiGet(`${ENDPOINTS.DELIVERY_QUOTE(restaurantId)}?addressId=${addressId}`);
+            check(res, { 'Quote received': (r) => r.status === 200 || r.status === 404 });
+        });
+    }
 
     sleep(randomSleep(200, 400));
 
@@ -268,9 +348,9 @@ export default function (data) {
         const start = Date.now();
 
         const orderOptions = {
-            paymentType: 'CREDIT',
-            orderType: '1',
-            addressId: addressId, // Use customer's actual address
+            paymentType: paymentType,
+            orderType: orderType,
+            addressId: addressId, // Use customer's actual address (delivery only)
         };
 
         let orderPayload;
@@ -280,7 +360,7 @@ export default function (data) {
             orderPayload = generateOrderDto(restaurantId, customerId, orderOptions);
         }
 
-        const res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload);
+        const res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload, { schema: 'ORDER_CREATE' });
 
         const success = check(res, {
             'Order created': (r) => r.status === 200,
@@ -293,6 +373,7 @@ export default function (data) {
             } catch (e) {
                 orderId = extractId(res);
             }
+            orderTotal = orderPayload.grandTotalAmount;
             ordersCompleted.add(1);
         }
 
@@ -308,70 +389,69 @@ export default function (data) {
 
     sleep(randomSleep(200, 400));
 
-    // ========================================
-    // PHASE 5: CREATE PAYMENT
-    // ========================================
-    group('Phase 5: Create Payment', function () {
-        const start = Date.now();
-
-        const res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {});
-        const success = check(res, { 'Payment created': (r) => r.status === 200 });
+    if (isOnlinePayment) {
+        // ========================================
+        // PHASE 5: CREATE PAYMENT
+        // ========================================
+        group('Phase 5: Create Payment', function () {
+            const start = Date.now();
 
-        if (success) {
-            try {
-                const body = JSON.parse(res.body);
-                paymentOrderId = body.data?.[0]?.paymentOrderId || body.data?.paymentOrderId;
-            } catch (e) {}
-        }
+            const res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {}, { schema: 'PAYMENT_CREATE' });
+            const success = check(res, { 'Payment created': (r) => r.status === 200 });
 
-        paymentSuccessRate.add(success && paymentOrderId ? 1 : 0);
-        paymentCreateTime.add(Date.now() - start);
-    });
+            if (success) {
+                paymentOrderId = extractPaymentOrderId(res);
+            }
 
-    if (!paymentOrderId) {
-        lifecycleSuccessRate.add(0);
-        totalLifecycleTime.add(Date.now() - lifecycleStart);
-        return;
-    }
+            paymentSuccessRate.add(success && paymentOrderId ? 1 : 0);
+            paymentCreateTime.add(Date.now() - start);
+        });
 
-    sleep(randomSleep(100, 200));
+        if (!paymentOrderId) {
+            lifecycleSuccessRate.add(0);
+            totalLifecycleTime.add(Date.now() - lifecycleStart);
+            return;
+        }
 
-    // ========================================
-    // PHASE 6: VERIFY PAYMENT
-    // ========================================
-    group('Phase 6: Verify Payment', function () {
-        const start = Date.now();
+        sleep(randomSleep(100, 200));
 
-        const verifyPayload = generatePaymentVerifyDto();
-        verifyPayload.razorpayOrderId = paymentOrderId;
-        const res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload);
+        // ========================================
+        // PHASE 6: VERIFY PAYMENT
+        // ========================================
+        group('Phase 6: Verify Payment', function () {
+            const start = Date.now();
 
-        const success = check(res, { 'Payment verified': (r) => r.status === 200 });
-        paymentSuccessRate.add(success ? 1 : 0);
-        paymentVerifyTime.add(Date.now() - start);
-    });
+            const verifyPayload = generatePaymentVerifyDto();
+            verifyPayload.razorpayOrderId = paymentOrderId;
+            const res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload, { schema: 'PAYMENT_VERIFY' });
 
-    // Wait for payment to be processed
-    sleep(5);
+            const success = check(res, { 'Payment verified': (r) => r.status === 200 });
+            paymentSuccessRate.add(success ? 1 : 0);
+            paymentVerifyTime.add(Date.now() - start);
+        });
 
-    // ========================================
-    // PHASE 7: VERIFY PAID STATUS
-    // ========================================
-    group('Phase 7: Verify Paid', function () {
-        const res = apiGet(ENDPOINTS.ORDER_GET(orderId));
-        check(res, {
-            'Order fetched': (r) => r.status === 200,
-            'Status is PAID': (r) => {
-                try {
-                    const body = JSON.parse(r.body);
-                    const status = body.data?.[0]?.status || body.data?.status;
-                    return status === 'PAID';
-                } catch (e) { return false; }
-            },
+        // Wait for payment to be processed
+        sleep(5);
+
+        // ========================================
+        // PHASE 7: VERIFY PAID STATUS
+        // ========================================
+        group('Phase 7: Verify Paid', function () {
+            const res = apiGet(ENDPOINTS.ORDER_GET(orderId), { schema: 'ORDER_GET' });
+            check(res, {
+                'Order fetched': (r) => r.status === 200,
+                'Status is PAID': (r) => {
+                    try {
+                        const body = JSON.parse(r.body);
+                        const status = body.data?.[0]?.status || body.data?.status;
+                        return status === 'PAID';
+                    } catch (e) { return false; }
+                },
+            });
         });
-    });
 
-    sleep(randomSleep(200, 400));
+        sleep(randomSleep(200, 400));
+    }
 
     // ========================================
     // PHASE 8: POS CALLBACK (ACCEPTED)
@@ -387,94 +467,129 @@ export default function (data) {
         posTime.add(Date.now() - start);
     });
 
-    // Wait for order to be accepted before fulfilling delivery
+    // Wait for order to be accepted before fulfilling delivery / handing it over
     sleep(5);
 
-    // ========================================
-    // PHASE 9: FULFILL DELIVERY
-    // ========================================
-    group('Phase 9: Fulfill Delivery', function () {
-        const start = Date.now();
+    if (isDelivery) {
+        // ========================================
+        // PHASE 9: FULFILL DELIVERY
+        // ========================================
+        group('Phase 9: Fulfill Delivery', function () {
+            const start = Date.now();
 
-        const res = apiPost(ENDPOINTS.DELIVERY_FULFILL(orderId), {});
-        const success = check(res, { 'Delivery fulfilled': (r) => r.status === 200 });
-        deliverySuccessRate.add(success ? 1 : 0);
-        deliveryTime.add(Date.now() - start);
-    });
+            const res = apiPost(ENDPOINTS.DELIVERY_FULFILL(orderId), {});
+            const success = check(res, { 'Delivery fulfilled': (r) => r.status === 200 });
+            deliverySuccessRate.add(success ? 1 : 0);
+            deliveryTime.add(Date.now() - start);
+        });
 
-    sleep(randomSleep(200, 400));
+        sleep(randomSleep(200, 400));
 
-    // ========================================
-    // PHASE 10: DELIVERY CALLBACKS
-    // ========================================
-    group('Phase 10: Delivery Callbacks', function () {
-        const start = Date.now();
+        // ========================================
+        // PHASE 10: DELIVERY CALLBACKS
+        // ========================================
+        group('Phase 10: Delivery Callbacks', function () {
+            const start = Date.now();
 
-        // Fetch delivery record to get the real deliveryOrderId
-        const deliveryRes = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId));
-        let deliveryOrderId = null;
-        let channelOrderId = null;
+            // Fetch delivery record to get the real deliveryOrderId
+            const deliveryRes = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId), { schema: 'DELIVERY_STATUS' });
+            let deliveryOrderId = null;
+            let channelOrderId = null;
 
-        if (deliveryRes.status === 200) {
-            try {
-                const deliveryData = JSON.parse(deliveryRes.body);
-                const delivery = deliveryData.data?.[0] || deliveryData.data;
-                deliveryOrderId = delivery?.id || delivery?._id;
-                channelOrderId = delivery?.fulfillment?.channel?.order_id;
-            } catch (e) {
-                console.warn(`Failed to parse delivery record: ${e.message}`);
+            if (deliveryRes.status === 200) {
+                try {
+                    const deliveryData = JSON.parse(deliveryRes.body);
+                    const delivery = deliveryData.data?.[0] || deliveryData.data;
+                    deliveryOrderId = delivery?.id || delivery?._id;
+                    channelOrderId = delivery?.fulfillment?.channel?.order_id;
+                } catch (e) {
+                    console.warn(`Failed to parse delivery record: ${e.message}`);
+                }
             }
-        }
 
-        if (!deliveryOrderId) {
-            console.warn(`No delivery record found for order ${orderId}, skipping delivery callbacks`);
-            deliverySuccessRate.add(0);
-            deliveryTime.add(Date.now() - start);
-            return;
-        }
-
-        // Use fetched channelOrderId or generate fallback
-        channelOrderId = channelOrderId || String(Math.floor(100000 + Math.random() * 900000));
+            if (!deliveryOrderId) {
+                console.warn(`No delivery record found for order ${orderId}, skipping delivery callbacks`);
+                deliverySuccessRate.add(0);
+                deliveryTime.add(Date.now() - start);
+                return;
+            }
 
-        let logs = [];
-        let allSuccess = true;
-        const baseTime = new Date();
+            // Use fetched channelOrderId or generate fallback
+            channelOrderId = channelOrderId || String(Math.floor(100000 + Math.random() * 900000));
+
+            let logs = [];
+            let allSuccess = true;
+            const baseTime = new Date();
+            const reassign = Math.random() < CONFIG.RIDER_REASSIGN_RATE;
+            const trip = riderTrip(DELIVERY_SEQUENCE_PROFILES[deliveryProfile], pickRiders(2), reassign);
+
+            for (const { status, rider, riderEvent } of trip) {
+                const minutesOffset = DELIVERY_STATUS_OFFSETS[status] || 0;
+                const { payload, logs: updatedLogs } = generateDeliveryCallback(
+                    orderId,
+                    deliveryOrderId,
+                    channelOrderId,
+                    status,
+                    logs,
+                    baseTime,
+                    minutesOffset,
+                    { codAmount: isOnlinePayment ? 0 : orderTotal, rider, riderEvent }
+                );
+
+                const step = riderEvent ? `rider ${riderEvent}` : status;
+                const res = apiPost(ENDPOINTS.DELIVERY_CALLBACK, payload);
+                const statusOk = check(res, { [`Delivery ${step}`]: (r) => r.status === 200 });
+
+                if (statusOk) {
+                    logs = updatedLogs;
+                } else {
+                    allSuccess = false;
+                }
 
-        // Minutes offset for each status (incremental timestamps)
-        const statusTimeOffsets = {
-            'CREATED': 1,
-            'OUT_FOR_PICKUP': 3,
-            'PICKED_UP': 12,
-            'OUT_FOR_DELIVERY': 12,
-            'DELIVERED': 22,
-        };
+                // Tracking must follow every accepted rider change
+                if (statusOk && riderEvent) {
+                    const tracked = waitForTrackedRider(orderId, rider ? rider.id : null, RIDER_TRACKING_TIMEOUT_MS);
+                    check(tracked, {
+                        [`Track shows rider after ${riderEvent}`]: (t) => t.track,
+                        [`Rider location shows rider after ${riderEvent}`]: (t) => t.location,
+                    });
+                    riderTrackingRate.add(tracked.track ? 1 : 0, { endpoint: 'track' });
+                    riderTrackingRate.add(tracked.location ? 1 : 0, { endpoint: 'rider_location' });
+                    riderTrackingTime.add(tracked.elapsedMs);
+                    if (!tracked.track || !tracked.location) {
+                        console.warn(`Order ${orderId}: tracking does not show rider ${rider ? rider.id : 'none'} ` +
+                            `after ${riderEvent} (track ${tracked.track}, rider location ${tracked.location})`);
+                    }
+                }
+                sleep(randomSleep(50, 150));
+            }
 
-        for (const status of DELIVERY_STATUS_SEQUENCE) {
-            const minutesOffset = statusTimeOffsets[status] || 0;
-            const { payload, logs: updatedLogs } = generateDeliveryCallback(
-                orderId,
-                deliveryOrderId,
-                channelOrderId,
-                status,
-                logs,
-                baseTime,
-                minutesOffset
-            );
-
-            const res = apiPost(ENDPOINTS.DELIVERY_CALLBACK, payload);
-            const statusOk = check(res, { [`Delivery ${status}`]: (r) => r.status === 200 });
-
-            if (statusOk) {
-                logs = updatedLogs;
-            } else {
-                allSuccess = false;
+            deliverySuccessRate.add(allSuccess ? 1 : 0);
+            deliveryTime.add(Date.now() - start);
+        });
+    } else {
+        // ========================================
+        // PHASE 9 (PICKUP / DINE-IN): POS HANDOVER
+        // ========================================
+        group('Phase 9: POS Handover', function () {
+            const start = Date.now();
+            let allSuccess = true;
+
+            // Remaining POS statuses after ACCEPTED (no rider for pickup / dine-in)
+            for (const status of POS_STATUS_PROGRESSION[orderType].slice(1)) {
+                const updatePayload = generateOrderStatusUpdate(menuSharingCode, orderId, status);
+                const res = apiPost(ENDPOINTS.POS_ORDER_UPDATE, updatePayload);
+
+                if (!check(res, { [`POS ${status}`]: (r) => r.status === 200 })) {
+                    allSuccess = false;
+                }
+                sleep(randomSleep(500, 1000));
             }
-            sleep(randomSleep(50, 150));
-        }
 
-        deliverySuccessRate.add(allSuccess ? 1 : 0);
-        deliveryTime.add(Date.now() - start);
-    });
+            posSuccessRate.add(allSuccess ? 1 : 0);
+            posTime.add(Date.now() - start);
+        });
+    }
 
     sleep(randomSleep(200, 400));
 
@@ -485,7 +600,7 @@ export default function (data) {
         const start = Date.now();
 
         // User checks order status
-        let res = apiGet(ENDPOINTS.ORDER_GET(orderId));
+        let res = apiGet(ENDPOINTS.ORDER_GET(orderId), { schema: 'ORDER_GET' });
         const delivered = check(res, {
             'Order fetched': (r) => r.status === 200,
             'Status DELIVERED': (r) => {
@@ -497,9 +612,11 @@ export default function (data) {
             },
         });
 
-        // Track order
-        res = apiGet(ENDPOINTS.ORDER_TRACK(orderId));
-        check(res, { 'Track OK': (r) => r.status === 200 });
+        // Track order (rider tracking only exists for delivery orders)
+        if (isDelivery) {
+            res = apiGet(ENDPOINTS.ORDER_TRACK(orderId));
+            check(res, { 'Track OK': (r) => r.status === 200 });
+        }
 
         trackingTime.add(Date.now() - start);
 
@@ -522,28 +639,37 @@ export function setup() {
     console.log(`ORDER LIFECYCLE TEST - ${modeLabel}`);
     console.log('='.repeat(70));
     console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
     console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
     console.log(`Mode: ${modeLabel}`);
-    if (isSanityMode) {
-        console.log('VUs: 1 (single iteration for validation)');
-    } else if (isMultiUserMode) {
+    if (isMultiUserMode) {
         console.log(`Users: ${userCount}, Orders: ${orderCount}`);
-    } else {
-        console.log('Load Pattern: 0 → 10 → 20 → 30 → 20 → 10 → 0 VUs');
     }
     console.log('');
     console.log('Flow:');
     console.log('  1. Browse Menu → 2. Login → 3. Address & Quote → 4. Create Order');
     console.log('  5. Create Payment → 6. Verify Payment → 7. Verify PAID');
     console.log('  8. POS ACCEPTED → 9. Fulfill Delivery');
-    console.log('  10. Delivery Callbacks (CREATED → OUT_FOR_PICKUP → PICKED_UP → OUT_FOR_DELIVERY → DELIVERED)');
+    console.log('  10. Delivery Callbacks (per delivery profile) + rider search / assignment, tracked');
+    console.log(`      Rider reassigned mid-trip: ${Math.round(CONFIG.RIDER_REASSIGN_RATE * 100)}% of delivery orders`);
     console.log('  11. User Tracking');
+    console.log('  Pickup / dine-in: no address or delivery - 9. POS FOOD_READY → DELIVERED');
+    console.log('  COD: no online payment (5-7), rider collects the order total');
+    console.log(`Order types: ${CONFIG.ORDER_TYPE_MIX.map((e) => `${Math.round(e.weight * 100)}% ${e.name}`).join(', ')}`);
+    console.log(`Payment types: ${CONFIG.PAYMENT_MIX.map((e) => `${Math.round(e.weight * 100)}% ${e.name}`).join(', ')}`);
+    console.log(`Delivery profiles: ${CONFIG.DELIVERY_PROFILES.map((e) => `${Math.round(e.weight * 100)}% ${e.name}`).join(', ')}`);
+    for (const entry of CONFIG.DELIVERY_PROFILES) {
+        console.log(`  ${entry.name}: ${DELIVERY_SEQUENCE_PROFILES[entry.name].join(' → ')}`);
+    }
     console.log('='.repeat(70));
 
     if (!CONFIG.RESTAURANT_ID) {
         throw new Error('RESTAURANT_ID is required!');
     }
 
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
     // Fetch restaurant data (location + menuSharingCode)
     console.log('\nFetching restaurant data...');
     const restaurantData = fetchRestaurantLocation(CONFIG.RESTAURANT_ID);
@@ -570,7 +696,7 @@ export function setup() {
         console.log(`Loaded ${menuData.items?.length || 0} items`);
     }
 
-    return { startTime: Date.now(), menuData, restaurantLocation, menuSharingCode };
+    return { startTime: Date.now(), menuData, restaurantLocation, menuSharingCode, auth };
 }
 
 export function teardown(data) {
@@ -580,6 +706,10 @@ export function teardown(data) {
 
 export function handleSummary(data) {
     return {
-        'stdout': textSummary(data, { indent: ' ', enableColors: true }),
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) +
+            breakdownReport(data, 'ORDER TYPES (success / p95 lifecycle)', orderTypeBreakdown) +
+            breakdownReport(data, 'PAYMENT TYPES (success / p95 lifecycle)', paymentTypeBreakdown) +
+            breakdownReport(data, 'DELIVERY PROFILES (success / p95 delivery phase)', deliveryProfileBreakdown) +
+            failureCatalog(data),
     };
 }
@@ -17,11 +17,20 @@
  *   ./run-tests.sh order-stress --restaurant 324672                # Full stress test
  */
 
-import { sleep, group, check } from 'k6';
+import { sleep, group } from 'k6';
 import { Trend, Rate, Counter } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
-import { CONFIG, ENDPOINTS, THRESHOLDS } from '../config.js';
-import { apiGet, apiPost, extractId, randomSleep } from '../utils/helpers.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiGet, apiPost, extractId, extractPaymentOrderId, check, randomSleep, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog } from '../utils/summary.js';
 import {
     generateLoginDto,
     generateVerifyOtpDto,
@@ -72,20 +81,17 @@ const stressScenario = {
 
 export const options = {
     scenarios: {
-        order_stress: isSanityMode ? sanityScenario : stressScenario,
+        order_stress: isSanityMode ? sanityScenario : selectScenario(stressScenario),
     },
     thresholds: {
-        ...THRESHOLDS,
-        'order_success_rate': ['rate>0.90'],
-        'payment_success_rate': ['rate>0.90'],
-        'order_create_duration': ['p(95)<3000'],
-        'payment_create_duration': ['p(95)<2000'],
-        'payment_verify_duration': ['p(95)<2000'],
-        'total_order_flow_duration': ['p(95)<8000'],
+        ...endpointThresholds(),
+        ...sloThresholds('order_stress'),
+        ...failureThresholds(),
     },
 };
 
 export default function (data) {
+    adoptSession(data?.auth);
     const restaurantId = CONFIG.RESTAURANT_ID;
     const menuData = data?.menuData;
     const user = getUserFromPool(userPool, __VU);
@@ -108,7 +114,7 @@ export default function (data) {
         sleep(randomSleep(100, 200));
 
         const verifyDto = generateVerifyOtpDto(user.mobile, restaurantId, CONFIG.LOAD_TEST_OTP);
-        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto);
+        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
 
         const success = check(res, {
             'Login successful': (r) => r.status === 200,
@@ -134,7 +140,7 @@ export default function (data) {
     // Step 2: Browse Menu (quick)
     group('2. Browse Menu', function () {
         if (restaurantId) {
-            apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId));
+            apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId), { schema: 'MENU_CATEGORY' });
         }
         apiGet(ENDPOINTS.ADDON_GROUP_LIST);
     });
@@ -159,7 +165,7 @@ export default function (data) {
             });
         }
 
-        const res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload);
+        const res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload, { schema: 'ORDER_CREATE' });
         orderCreateTime.add(Date.now() - start);
 
         const success = check(res, {
@@ -196,7 +202,7 @@ group('4. Payment', function () {
     // -----------------------
     const createStart = Date.now();
 
-    let res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {});
+    let res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {}, { schema: 'PAYMENT_CREATE' });
     const createDuration = Date.now() - createStart;
     paymentCreateTime.add(createDuration);
 
@@ -205,10 +211,7 @@ group('4. Payment', function () {
     });
 
     if (createSuccess) {
-        try {
-            const body = JSON.parse(res.body);
-            paymentOrderId = body.data?.[0]?.paymentOrderId;
-        } catch (e) {}
+        paymentOrderId = extractPaymentOrderId(res);
     }
 
     if (!paymentOrderId) {
@@ -226,7 +229,7 @@ group('4. Payment', function () {
     const verifyPayload = generatePaymentVerifyDto();
     verifyPayload.razorpayOrderId = paymentOrderId;
 
-    res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload);
+    res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload, { schema: 'PAYMENT_VERIFY' });
 
     const verifyDuration = Date.now() - verifyStart;
     paymentVerifyTime.add(verifyDuration);
@@ -256,22 +259,19 @@ export function setup() {
     console.log(`ORDER STRESS TEST - ${isSanityMode ? 'SANITY MODE' : 'STRESS TEST'}`);
     console.log('='.repeat(60));
     console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
     console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
     console.log(`Mode: ${isSanityMode ? 'sanity (single user validation)' : 'stress (multi-user)'}`);
     console.log(`User Pool: ${userPool.length} users`);
-    if (isSanityMode) {
-        console.log('VUs: 1 (single iteration)');
-        console.log('Duration: ~2 minutes');
-    } else {
-        console.log('Load Pattern: 0 → 25 → 50 → 100 → 50 → 0 VUs');
-        console.log('Duration: ~5 minutes');
-    }
     console.log('='.repeat(60));
 
     if (!CONFIG.RESTAURANT_ID) {
         throw new Error('RESTAURANT_ID is required! Use --env RESTAURANT_ID=xxx');
     }
 
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
     // Fetch menu data
     console.log('\nFetching menu data...');
     const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
@@ -282,7 +282,7 @@ export function setup() {
         console.warn('Using static menu data');
     }
 
-    return { startTime: Date.now(), menuData };
+    return { startTime: Date.now(), menuData, auth };
 }
 
 export function teardown(data) {
@@ -292,6 +292,6 @@ export function teardown(data) {
 
 export function handleSummary(data) {
     return {
-        'stdout': textSummary(data, { indent: ' ', enableColors: true }),
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + failureCatalog(data),
     };
 }
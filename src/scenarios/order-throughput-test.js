@@ -0,0 +1,288 @@
+/**
+ * Order Throughput Test - Open-Model Orders per Second
+ *
+ * Offers orders at a fixed arrival rate (SCENARIOS.order_flow: ramping-arrival-rate,
+ * 10 → 30 orders/s) regardless of how fast the backend answers. When the backend
+ * slows down, k6 starts more VUs instead of offering less load, and iterations it
+ * cannot start are counted in dropped_iterations.
+ *
+ * Each iteration places one order:
+ * - Login (OTP + verify)
+ * - Create order (online payment - CREDIT)
+ * - Create + verify payment
+ * - POS accept
+ * - Fulfill delivery
+ *
+ * The summary reports target vs achieved orders/minute, dropped iterations and
+ * the latency of each lifecycle stage (order_stage_duration{stage}).
+ *
+ * Modes:
+ * - sanity: Single order, quick validation (~1 min)
+ * - load:   Arrival-rate ramp (~9 min)
+ *
+ * Usage:
+ *   ./run-tests.sh throughput --restaurant 324672 --mode sanity  # Quick validation
+ *   ./run-tests.sh throughput --restaurant 324672                # Full throughput test
+ */
+
+import { sleep, group } from 'k6';
+import { Trend, Rate, Counter } from 'k6/metrics';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    SCENARIOS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+    parseDuration,
+    plannedIterations,
+} from '../config.js';
+import { apiPost, extractId, extractPaymentOrderId, check, randomSleep, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog } from '../utils/summary.js';
+import {
+    generateLoginDto,
+    generateVerifyOtpDto,
+    generatePaymentVerifyDto,
+    generateUserPool,
+    getUserFromPool,
+    generateOrderStatusUpdate,
+    ORDER_LIFECYCLE,
+    fetchMenuData,
+    fetchRestaurantLocation,
+    generateDynamicOrderDto,
+    generateOrderDto,
+} from '../data/test-data.js';
+
+// Lifecycle stages, in order (tag values of order_stage_duration)
+const STAGES = ['login', 'order_create', 'payment_create', 'payment_verify', 'pos_accept', 'delivery_fulfill'];
+
+// Custom metrics
+const stageTime = new Trend('order_stage_duration', true);
+const lifecycleTime = new Trend('order_lifecycle_duration', true);
+const lifecycleSuccessRate = new Rate('order_lifecycle_success_rate');
+const ordersCreated = new Counter('orders_created');
+const ordersPaid = new Counter('orders_paid');
+const ordersFulfilled = new Counter('orders_fulfilled');
+
+// Check if sanity mode
+const isSanityMode = CONFIG.USER_MODE === 'sanity';
+
+// Generate user pool
+const userPool = generateUserPool(isSanityMode ? 1 : 1000);
+
+// Scenario configurations
+const sanityScenario = {
+    executor: 'per-vu-iterations',
+    vus: 1,
+    iterations: 1,
+    maxDuration: '2m',
+};
+
+const throughputScenario = selectScenario(SCENARIOS.order_flow);
+
+export const options = {
+    // count lets the summary tell a stage without samples from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
+    scenarios: {
+        order_throughput: isSanityMode ? sanityScenario : throughputScenario,
+    },
+    thresholds: {
+        ...endpointThresholds(),
+        ...sloThresholds('order_throughput'),
+        ...failureThresholds(),
+    },
+};
+
+/**
+ * Run one lifecycle stage: times the call and tags it with the stage name
+ * @returns {*} Whatever fn returns (falsy = stage failed, lifecycle stops)
+ */
+function runStage(stage, fn) {
+    let result = null;
+
+    group(`Stage: ${stage}`, function () {
+        const start = Date.now();
+        result = fn();
+        stageTime.add(Date.now() - start, { stage });
+    });
+
+    return result;
+}
+
+export default function (data) {
+    adoptSession(data?.auth);
+    const restaurantId = CONFIG.RESTAURANT_ID;
+    const user = getUserFromPool(userPool, __VU);
+    const lifecycleStart = Date.now();
+
+    const customerId = runStage('login', () => {
+        let res = apiPost(ENDPOINTS.LOGIN_OTP, generateLoginDto(user.name, user.mobile));
+        if (res.status !== 200) {
+            return null;
+        }
+
+        const verifyDto = generateVerifyOtpDto(user.mobile, restaurantId, CONFIG.LOAD_TEST_OTP);
+        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
+
+        const success = check(res, { 'Login successful': (r) => r.status === 200 });
+        return success ? extractId(res) : null;
+    });
+
+    const orderId = customerId && runStage('order_create', () => {
+        const orderOptions = { paymentType: 'CREDIT', orderType: '1' };
+        const menuData = data?.menuData;
+        const payload = menuData && menuData.items && menuData.items.length > 0
+            ? generateDynamicOrderDto(restaurantId, customerId, menuData, orderOptions)
+            : generateOrderDto(restaurantId, customerId, orderOptions);
+
+        const res = apiPost(ENDPOINTS.ORDER_CREATE, payload, { schema: 'ORDER_CREATE' });
+        const id = res.status === 200 ? extractId(res) : null;
+
+        check(res, {
+            'Order created': (r) => r.status === 200,
+            'Order ID received': () => !!id,
+        });
+        if (id) {
+            ordersCreated.add(1);
+        }
+        return id;
+    });
+
+    const paymentOrderId = orderId && runStage('payment_create', () => {
+        const res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {}, { schema: 'PAYMENT_CREATE' });
+        if (!check(res, { 'Payment created': (r) => r.status === 200 })) {
+            return null;
+        }
+        return extractPaymentOrderId(res);
+    });
+
+    const paid = paymentOrderId && runStage('payment_verify', () => {
+        const verifyPayload = generatePaymentVerifyDto();
+        verifyPayload.razorpayOrderId = paymentOrderId;
+
+        const res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload, { schema: 'PAYMENT_VERIFY' });
+        const success = check(res, { 'Payment verified': (r) => r.status === 200 });
+        if (success) {
+            ordersPaid.add(1);
+        }
+        return success;
+    });
+
+    // Give the backend time to mark the order PAID before the restaurant accepts it
+    if (paid) {
+        sleep(randomSleep(1000, 2000));
+    }
+
+    const accepted = paid && runStage('pos_accept', () => {
+        const payload = generateOrderStatusUpdate(data?.menuSharingCode, orderId, ORDER_LIFECYCLE.ACCEPTED);
+        const res = apiPost(ENDPOINTS.POS_ORDER_UPDATE, payload);
+        return check(res, { 'Order accepted': (r) => r.status === 200 });
+    });
+
+    const fulfilled = accepted && runStage('delivery_fulfill', () => {
+        const res = apiPost(ENDPOINTS.DELIVERY_FULFILL(orderId), {});
+        const success = check(res, { 'Delivery fulfilled': (r) => r.status === 200 });
+        if (success) {
+            ordersFulfilled.add(1);
+        }
+        return success;
+    });
+
+    lifecycleSuccessRate.add(fulfilled ? 1 : 0);
+    if (fulfilled) {
+        lifecycleTime.add(Date.now() - lifecycleStart);
+    }
+}
+
+// Orders per minute of an arrival-rate stage target
+function perMinute(rate) {
+    return Math.round(rate * 60 / parseDuration(throughputScenario.timeUnit || '1s'));
+}
+
+export function setup() {
+    console.log('='.repeat(60));
+    console.log(`ORDER THROUGHPUT TEST - ${isSanityMode ? 'SANITY MODE' : 'OPEN MODEL (ORDERS/MINUTE)'}`);
+    console.log('='.repeat(60));
+    console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
+    console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
+    console.log(`Mode: ${isSanityMode ? 'sanity (single order validation)' : 'throughput (arrival rate)'}`);
+    if (!isSanityMode && throughputScenario.stages) {
+        const rates = [throughputScenario.startRate || 0, ...throughputScenario.stages.map((s) => s.target)];
+        console.log(`Order rate: ${rates.map(perMinute).join(' → ')} orders/min`);
+    }
+    console.log('');
+    console.log(`Stages: ${STAGES.join(' → ')}`);
+    console.log('='.repeat(60));
+
+    if (!CONFIG.RESTAURANT_ID) {
+        throw new Error('RESTAURANT_ID is required!');
+    }
+
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    // Menu items for order payloads, menuSharingCode for the POS callback
+    const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
+    const restaurantData = fetchRestaurantLocation(CONFIG.RESTAURANT_ID);
+
+    console.log(`Loaded ${menuData?.items?.length || 0} menu items`);
+
+    return { startTime: Date.now(), menuData, menuSharingCode: restaurantData?.menuSharingCode, auth };
+}
+
+export function teardown(data) {
+    const duration = (Date.now() - data.startTime) / 1000 / 60;
+    console.log(`\nOrder throughput test completed in ${duration.toFixed(1)} minutes`);
+}
+
+function count(data, metric) {
+    return data.metrics[metric] ? data.metrics[metric].values.count : 0;
+}
+
+/**
+ * Target vs achieved order rate, dropped iterations and per-stage latency
+ */
+function throughputReport(data) {
+    const lines = ['', '', '     ORDER THROUGHPUT'];
+    const minutes = data.state.testRunDurationMs / 60000;
+    const target = isSanityMode ? null : plannedIterations(throughputScenario);
+    const started = count(data, 'iterations');
+    const dropped = count(data, 'dropped_iterations');
+    const created = count(data, 'orders_created');
+    const paid = count(data, 'orders_paid');
+    const fulfilled = count(data, 'orders_fulfilled');
+    const rate = (n) => `${Math.round(n / minutes)}/min`;
+
+    if (target !== null) {
+        lines.push(`     Target:    ${Math.round(target)} orders (${rate(target)})`);
+    } else {
+        lines.push('     Target:    n/a (closed-model executor)');
+    }
+    lines.push(`     Started:   ${started} iterations, dropped ${dropped}` +
+        `${started + dropped > 0 ? ` (${((dropped / (started + dropped)) * 100).toFixed(1)}%)` : ''}`);
+    lines.push(`     Achieved:  ${created} created (${rate(created)}), ${paid} paid (${rate(paid)}), ` +
+        `${fulfilled} fulfilled (${rate(fulfilled)})`);
+    if (target) {
+        lines.push(`     Achieved vs target: ${((fulfilled / target) * 100).toFixed(1)}% of orders fulfilled`);
+    }
+
+    lines.push('     Stage latency (p95 / avg):');
+    for (const stage of STAGES) {
+        const metric = data.metrics[`order_stage_duration{stage:${stage}}`];
+        const values = metric && metric.values;
+        lines.push(`       ${stage.padEnd(18)}` +
+            `${values && values.count ? `${Math.round(values['p(95)'])}ms / ${Math.round(values.avg)}ms` : 'no samples'}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+export function handleSummary(data) {
+    return {
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + throughputReport(data) + failureCatalog(data),
+    };
+}
@@ -0,0 +1,351 @@
+/**
+ * Payment Webhook Test - Razorpay Callback Storm
+ *
+ * Each iteration places a real order and creates its online payment, which
+ * leaves the order pending. Instead of verifying the payment from the app, the
+ * test delivers Razorpay webhooks to POST /payment/callback the way the gateway
+ * does on a bad day. Iterations cycle through the delivery patterns:
+ * - single:        order.paid once
+ * - duplicate:     the same order.paid event redelivered back to back
+ * - concurrent:    the same order.paid event delivered in parallel
+ * - late_failure:  order.paid, then a stale payment.failed of an earlier attempt
+ * - failure_first: payment.failed of a first attempt, then order.paid of the retry
+ * Duplicated events are sent CONFIG.WEBHOOK.DUPLICATES times.
+ *
+ * After the storm the order must reach PAID and stay there: every webhook is
+ * acknowledged (2xx, the gateway retries anything else), PAID becomes visible
+ * on GET /order/{id}, does not revert, and exactly one payment is captured
+ * (payment records, else the status history). Violations are counted per
+ * pattern and kind; orders whose captures cannot be read count as unverified.
+ *
+ * Modes:
+ * - sanity: Single user, every pattern once (~2 min)
+ * - storm:  Arrival-rate ramp to CONFIG.WEBHOOK.RATE orders/s (~5 min)
+ *
+ * Usage:
+ *   ./run-tests.sh webhook --restaurant 324672 --mode sanity           # Quick validation
+ *   ./run-tests.sh webhook --restaurant 324672                         # Webhook storm
+ *   ./run-tests.sh webhook --restaurant 324672 --webhook-rate 25 --webhook-duplicates 5
+ */
+
+import { sleep, group } from 'k6';
+import exec from 'k6/execution';
+import { Trend, Rate, Counter } from 'k6/metrics';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiPost, apiParallel, check, randomSleep, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import {
+    failureCatalog,
+    tagSelectors,
+    submetricThresholds,
+    submetric,
+    percent,
+    count,
+    p95,
+    violationsLine,
+} from '../utils/summary.js';
+import {
+    loginCustomer,
+    createOrder,
+    createPayment,
+    fetchOrder,
+    waitForOrderStatus,
+    paymentCaptures,
+    setupAuth,
+} from '../utils/order-flow.js';
+import {
+    generateUserPool,
+    getUserFromPool,
+    generatePaymentCallback,
+    ORDER_LIFECYCLE,
+    fetchMenuData,
+} from '../data/test-data.js';
+
+const WEBHOOK = CONFIG.WEBHOOK;
+
+// Delivery patterns, in the order iterations cycle through them
+const PATTERNS = ['single', 'duplicate', 'concurrent', 'late_failure', 'failure_first'];
+
+// What can go wrong (tag values of payment_webhook_violations)
+const VIOLATION_KINDS = ['rejected', 'never_paid', 'left_paid', 'not_captured', 'paid_twice'];
+
+// Time allowed for PAID to become visible, and how long it must then hold
+const PAID_TIMEOUT_MS = 15000;
+const SETTLE_POLLS = 3;
+const SETTLE_INTERVAL_MS = 1000;
+
+// Custom metrics (tagged with pattern; webhook metrics also with event)
+const webhookTime = new Trend('payment_webhook_duration', true);
+const paidVisibleTime = new Trend('payment_webhook_paid_duration', true);
+const webhookAcceptedRate = new Rate('payment_webhook_accepted_rate');
+const exactlyOnceRate = new Rate('payment_webhook_exactly_once_rate');
+const violations = new Counter('payment_webhook_violations');
+const unverified = new Counter('payment_webhook_unverified');
+const pendingOrdersRate = new Rate('payment_webhook_pending_order_rate');
+
+// Check if sanity mode
+const isSanityMode = CONFIG.USER_MODE === 'sanity';
+
+// Generate user pool
+const userPool = generateUserPool(isSanityMode ? 1 : 1000);
+
+// Scenario configurations
+const sanityScenario = {
+    executor: 'per-vu-iterations',
+    vus: 1,
+    iterations: PATTERNS.length,  // Every pattern once
+    maxDuration: '10m',
+};
+
+const stormScenario = {
+    executor: 'ramping-arrival-rate',
+    startRate: 1,
+    timeUnit: '1s',
+    preAllocatedVUs: 50,
+    maxVUs: 300,
+    stages: [
+        { duration: '1m', target: WEBHOOK.RATE },
+        { duration: '3m', target: WEBHOOK.RATE },
+        { duration: '30s', target: 0 },
+    ],
+};
+
+export const options = {
+    // count lets the summary tell a pattern without samples from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
+    scenarios: {
+        payment_webhook: isSanityMode ? sanityScenario : selectScenario(stormScenario),
+    },
+    thresholds: {
+        ...endpointThresholds(),
+        ...sloThresholds('payment_webhook'),
+        ...failureThresholds(),
+        // Always-passing - they only make the per-pattern submetrics visible to handleSummary
+        ...submetricThresholds({
+            payment_webhook_accepted_rate: 'rate',
+            payment_webhook_exactly_once_rate: 'rate',
+            payment_webhook_duration: 'max',
+            payment_webhook_paid_duration: 'max',
+            payment_webhook_violations: 'count',
+            payment_webhook_unverified: 'count',
+        }, tagSelectors('pattern', PATTERNS)),
+        ...submetricThresholds({ payment_webhook_violations: 'count' }, tagSelectors('kind', VIOLATION_KINDS)),
+    },
+};
+
+// Pattern for this iteration, cycling through all of them
+function pickPattern() {
+    return PATTERNS[exec.scenario.iterationInTest % PATTERNS.length];
+}
+
+/**
+ * Webhook deliveries of a pattern, in sending order
+ * Redeliveries reuse the same payload object (same event, same payment id)
+ * @returns {Array<{ event: string, payload: object, parallel?: number }>}
+ */
+function buildDeliveries(pattern, paymentOrderId, orderId) {
+    const paid = { event: 'order.paid', payload: generatePaymentCallback(paymentOrderId, orderId, 'order.paid') };
+    const failed = { event: 'payment.failed', payload: generatePaymentCallback(paymentOrderId, orderId, 'payment.failed') };
+
+    switch (pattern) {
+        case 'duplicate':
+            return Array(WEBHOOK.DUPLICATES).fill(paid);
+        case 'concurrent':
+            return [{ ...paid, parallel: WEBHOOK.DUPLICATES }];
+        case 'late_failure':
+            return [paid, failed];
+        case 'failure_first':
+            return [failed, paid];
+        default:
+            return [paid];
+    }
+}
+
+// Deliver one event (in parallel when asked) and record latency + acknowledgement
+function deliver(delivery, pattern) {
+    const tags = { pattern, event: delivery.event };
+    const responses = delivery.parallel
+        ? apiParallel(Array(delivery.parallel).fill({
+            method: 'POST',
+            endpoint: ENDPOINTS.PAYMENT_CALLBACK,
+            body: delivery.payload,
+        }))
+        : [apiPost(ENDPOINTS.PAYMENT_CALLBACK, delivery.payload)];
+
+    let allAccepted = true;
+    for (const res of responses) {
+        const accepted = check(res, { [`Webhook ${delivery.event} acknowledged`]: (r) => r.status >= 200 && r.status < 300 }, tags);
+        webhookTime.add(res.timings.duration, tags);
+        webhookAcceptedRate.add(accepted ? 1 : 0, tags);
+        allAccepted = allAccepted && accepted;
+    }
+    return allAccepted;
+}
+
+/**
+ * Check that an order reached PAID, stayed there and was paid exactly once
+ * @returns {{ kinds: Array<string>, verified: boolean }} Violation kinds found, and
+ *          whether the number of captures could be read
+ */
+function verifyPaidOnce(orderId, pattern, paidSentAt) {
+    const { reached } = waitForOrderStatus(orderId, [ORDER_LIFECYCLE.PAID], PAID_TIMEOUT_MS);
+    check(null, { 'Order PAID': () => reached }, { pattern });
+    if (!reached) {
+        return { kinds: ['never_paid'], verified: true };
+    }
+    paidVisibleTime.add(Date.now() - paidSentAt, { pattern });
+
+    // Late and duplicate events must not move the order again
+    let order = null;
+    for (let i = 0; i < SETTLE_POLLS; i++) {
+        sleep(SETTLE_INTERVAL_MS / 1000);
+        order = fetchOrder(orderId);
+        if (!order || order.status !== ORDER_LIFECYCLE.PAID) {
+            console.warn(`Order ${orderId} left PAID (${order ? order.status : 'not found'}) after ${pattern} webhooks`);
+            return { kinds: ['left_paid'], verified: true };
+        }
+    }
+
+    const captures = paymentCaptures(orderId, order);
+    if (captures === null) {
+        return { kinds: [], verified: false };
+    }
+    if (captures !== 1) {
+        console.warn(`Order ${orderId} has ${captures} captured payments after ${pattern} webhooks`);
+        return { kinds: [captures === 0 ? 'not_captured' : 'paid_twice'], verified: true };
+    }
+    return { kinds: [], verified: true };
+}
+
+export default function (data) {
+    adoptSession(data?.auth);
+    const restaurantId = CONFIG.RESTAURANT_ID;
+    const user = getUserFromPool(userPool, __VU);
+    const pattern = pickPattern();
+
+    let orderId = null;
+    let paymentOrderId = null;
+
+    group('Pending Order', function () {
+        const customerId = loginCustomer(user, restaurantId);
+        orderId = customerId && createOrder(restaurantId, customerId, data?.menuData, {
+            paymentType: 'CREDIT',
+            orderType: '1',
+        });
+        paymentOrderId = orderId && createPayment(orderId);
+        pendingOrdersRate.add(paymentOrderId ? 1 : 0, { pattern });
+    });
+
+    if (!paymentOrderId) {
+        return;
+    }
+
+    group(`Webhooks: ${pattern}`, function () {
+        const found = [];
+        let paidSentAt = null;
+
+        for (const delivery of buildDeliveries(pattern, paymentOrderId, orderId)) {
+            if (delivery.event === 'order.paid' && paidSentAt === null) {
+                paidSentAt = Date.now();
+            }
+            if (!deliver(delivery, pattern) && !found.includes('rejected')) {
+                found.push('rejected');
+            }
+            // Redeliveries arrive in quick succession
+            sleep(randomSleep(10, 50));
+        }
+
+        const { kinds, verified } = verifyPaidOnce(orderId, pattern, paidSentAt);
+        found.push(...kinds);
+
+        for (const kind of found) {
+            violations.add(1, { pattern, kind });
+        }
+        // Without payment records or a status history "exactly once" cannot be claimed
+        if (found.length === 0 && !verified) {
+            unverified.add(1, { pattern });
+        } else {
+            exactlyOnceRate.add(found.length === 0 ? 1 : 0, { pattern });
+        }
+    });
+
+    sleep(randomSleep(200, 500));
+}
+
+export function setup() {
+    console.log('='.repeat(60));
+    console.log(`PAYMENT WEBHOOK TEST - ${isSanityMode ? 'SANITY MODE' : 'WEBHOOK STORM'}`);
+    console.log('='.repeat(60));
+    console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
+    console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
+    console.log(`Mode: ${isSanityMode ? 'sanity (every pattern once)' : 'storm (arrival-rate)'}`);
+    console.log('');
+    console.log(`Patterns: ${PATTERNS.join(', ')}`);
+    console.log(`Duplicated events sent ${WEBHOOK.DUPLICATES} times`);
+    console.log('='.repeat(60));
+
+    if (!CONFIG.RESTAURANT_ID) {
+        throw new Error('RESTAURANT_ID is required!');
+    }
+
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    // Menu items for order payloads
+    const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
+    console.log(`Loaded ${menuData?.items?.length || 0} menu items`);
+
+    return { startTime: Date.now(), menuData, auth };
+}
+
+export function teardown(data) {
+    const duration = (Date.now() - data.startTime) / 1000 / 60;
+    console.log(`\nPayment webhook test completed in ${duration.toFixed(1)} minutes`);
+}
+
+/**
+ * Acknowledgement, exactly-once rate and latency per pattern, violations per kind
+ */
+function webhookReport(data) {
+    const lines = ['', '', '     WEBHOOKS (acked / paid once / p95 webhook / p95 until PAID / violations)'];
+
+    for (const pattern of PATTERNS) {
+        const tag = `pattern:${pattern}`;
+        const webhook = submetric(data, 'payment_webhook_duration', tag);
+        const unverifiedOrders = count(submetric(data, 'payment_webhook_unverified', tag));
+
+        if (!webhook || !webhook.values || !webhook.values.count) {
+            lines.push(`     ${pattern.padEnd(14)} no webhooks sent`);
+            continue;
+        }
+
+        lines.push(`     ${pattern.padEnd(14)} ${percent(submetric(data, 'payment_webhook_accepted_rate', tag))} / ` +
+            `${percent(submetric(data, 'payment_webhook_exactly_once_rate', tag))} / ` +
+            `${p95(webhook)} / ${p95(submetric(data, 'payment_webhook_paid_duration', tag))} / ` +
+            `${count(submetric(data, 'payment_webhook_violations', tag))}  (${webhook.values.count} webhooks` +
+            `${unverifiedOrders ? `, ${unverifiedOrders} orders unverified` : ''})`);
+    }
+
+    lines.push(violationsLine(data, 'payment_webhook_violations', VIOLATION_KINDS,
+        'No violations: every verified order reached PAID exactly once'));
+    const unverifiedTotal = count(data.metrics.payment_webhook_unverified);
+    if (unverifiedTotal > 0) {
+        lines.push(`     Unverified: ${unverifiedTotal} orders - no payment records or status history to count captures`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+export function handleSummary(data) {
+    return {
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + webhookReport(data) + failureCatalog(data),
+    };
+}
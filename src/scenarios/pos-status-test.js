@@ -0,0 +1,384 @@
+/**
+ * POS Status Test - PetPooja Status Codes on Real Orders
+ *
+ * Each iteration creates and pays an order, then plays one sequence of
+ * PetPooja POS callbacks (POS_STATUS_CODES) against it. Iterations cycle
+ * through the cases:
+ * - accept_ready:          ACCEPTED (3) → READY_FOR_DELIVERY (5)
+ * - handover:              pickup order: ACCEPTED → FOOD_READY (5) → PICKED_UP (4) → DELIVERED (10)
+ * - reject:                REJECTED (-1) before acceptance
+ * - cancel_with_reason:    ACCEPTED → CANCELLED (-1) with a cancel_reason
+ * - invalid_code:          ACCEPTED → codes PetPooja never sends (INVALID_CODES)
+ * - reject_after_accept:   ACCEPTED → REJECTED
+ * - reject_after_delivery: pickup order: ACCEPTED → FOOD_READY → DELIVERED → REJECTED
+ *
+ * After every callback the order (GET /order/{id}) must reach the status the
+ * step allows. Violations:
+ * - refused:         a valid callback got a non-2xx response
+ * - wrong_status:    the order did not reach (or left) the status a valid callback allows
+ * - invalid_applied: an invalid code changed the order status
+ *
+ * Modes:
+ * - sanity: Single user, every case once (~5 min)
+ * - load:   Ramping VUs (~5 min)
+ *
+ * Usage:
+ *   ./run-tests.sh pos-status --restaurant 324672 --mode sanity  # Quick validation
+ *   ./run-tests.sh pos-status --restaurant 324672                # Load test
+ */
+
+import { sleep, group } from 'k6';
+import exec from 'k6/execution';
+import { Trend, Rate, Counter } from 'k6/metrics';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+import {
+    CONFIG,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { check, randomSleep, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import {
+    failureCatalog,
+    tagSelectors,
+    submetricThresholds,
+    submetric,
+    percent,
+    count,
+    p95,
+    violationsLine,
+} from '../utils/summary.js';
+import {
+    loginCustomer,
+    createOrder,
+    payOrder,
+    posUpdate,
+    fetchOrder,
+    waitForOrderStatus,
+    setupAuth,
+} from '../utils/order-flow.js';
+import {
+    generateUserPool,
+    getUserFromPool,
+    ORDER_LIFECYCLE,
+    ORDER_TYPE_CODES,
+    POS_STATUS_CODES,
+    fetchMenuData,
+    fetchRestaurantLocation,
+} from '../data/test-data.js';
+
+const { ACCEPTED, READY_FOR_DELIVERY, PICKED_UP, DELIVERED, CANCELLED } = ORDER_LIFECYCLE;
+
+// Status codes outside the PetPooja vocabulary
+const INVALID_CODES = ['0', '7', '99', 'abc'];
+
+// Reason sent with the cancellation of cancel_with_reason
+const CANCEL_REASON = 'Item out of stock';
+
+/**
+ * Callback sequence per case: POS status (name or raw code) and the order
+ * statuses allowed once it was handled. invalid: the code must change nothing.
+ */
+const CASES = {
+    accept_ready: {
+        orderType: ORDER_TYPE_CODES.delivery,
+        steps: [
+            { status: 'ACCEPTED', expect: [ACCEPTED] },
+            { status: 'READY_FOR_DELIVERY', expect: [READY_FOR_DELIVERY] },
+        ],
+    },
+    handover: {
+        orderType: ORDER_TYPE_CODES.pickup,
+        steps: [
+            { status: 'ACCEPTED', expect: [ACCEPTED] },
+            { status: 'FOOD_READY', expect: [READY_FOR_DELIVERY] },
+            { status: 'PICKED_UP', expect: [PICKED_UP] },
+            { status: 'DELIVERED', expect: [DELIVERED] },
+        ],
+    },
+    reject: {
+        orderType: ORDER_TYPE_CODES.delivery,
+        steps: [
+            { status: 'REJECTED', expect: [CANCELLED] },
+        ],
+    },
+    cancel_with_reason: {
+        orderType: ORDER_TYPE_CODES.delivery,
+        steps: [
+            { status: 'ACCEPTED', expect: [ACCEPTED] },
+            { status: 'CANCELLED', expect: [CANCELLED], options: { cancelReason: CANCEL_REASON } },
+        ],
+    },
+    invalid_code: {
+        orderType: ORDER_TYPE_CODES.delivery,
+        steps: [
+            { status: 'ACCEPTED', expect: [ACCEPTED] },
+            ...INVALID_CODES.map((code) => ({ status: code, expect: [ACCEPTED], invalid: true })),
+        ],
+    },
+    // Same code as a cancellation: the backend may cancel the order or refuse the late rejection
+    reject_after_accept: {
+        orderType: ORDER_TYPE_CODES.delivery,
+        steps: [
+            { status: 'ACCEPTED', expect: [ACCEPTED] },
+            { status: 'REJECTED', expect: [ACCEPTED, CANCELLED], mayRefuse: true },
+        ],
+    },
+    reject_after_delivery: {
+        orderType: ORDER_TYPE_CODES.pickup,
+        steps: [
+            { status: 'ACCEPTED', expect: [ACCEPTED] },
+            { status: 'FOOD_READY', expect: [READY_FOR_DELIVERY] },
+            { status: 'DELIVERED', expect: [DELIVERED] },
+            { status: 'REJECTED', expect: [DELIVERED], mayRefuse: true },
+        ],
+    },
+};
+
+const CASE_NAMES = Object.keys(CASES);
+
+// What can go wrong (tag values of kind)
+const VIOLATION_KINDS = ['refused', 'wrong_status', 'invalid_applied'];
+
+// Time allowed for a status change to become visible on GET /order/{id}
+const STATUS_TIMEOUT_MS = 15000;
+
+// Wait before reading an order whose status should not change (nothing to poll for)
+const SETTLE_SECONDS = 2;
+
+// Custom metrics (tagged with case)
+const posCallbackTime = new Trend('pos_status_duration', true);
+const posAcceptedRate = new Rate('pos_status_accepted_rate');
+const correctRate = new Rate('pos_status_correct_rate');
+const violations = new Counter('pos_status_violations');
+
+// Check if sanity mode
+const isSanityMode = CONFIG.USER_MODE === 'sanity';
+
+// Generate user pool
+const userPool = generateUserPool(isSanityMode ? 1 : 500);
+
+// Scenario configurations
+const sanityScenario = {
+    executor: 'per-vu-iterations',
+    vus: 1,
+    iterations: CASE_NAMES.length,  // Every case once
+    maxDuration: '15m',
+};
+
+const loadScenario = {
+    executor: 'ramping-vus',
+    startVUs: 0,
+    stages: [
+        { duration: '1m', target: 5 },
+        { duration: '3m', target: 10 },
+        { duration: '1m', target: 0 },
+    ],
+};
+
+export const options = {
+    // count lets the summary tell a case that never ran from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
+    scenarios: {
+        pos_status: isSanityMode ? sanityScenario : selectScenario(loadScenario),
+    },
+    thresholds: {
+        ...endpointThresholds(),
+        ...sloThresholds('pos_status'),
+        ...failureThresholds(),
+        // Always-passing - they only make the per-case submetrics visible to handleSummary
+        ...submetricThresholds({
+            pos_status_duration: 'max',
+            pos_status_accepted_rate: 'rate',
+            pos_status_correct_rate: 'rate',
+            pos_status_violations: 'count',
+        }, tagSelectors('case', CASE_NAMES)),
+        ...submetricThresholds({ pos_status_violations: 'count' }, tagSelectors('kind', VIOLATION_KINDS)),
+    },
+};
+
+// Case for this iteration, cycling through all of them
+function pickCase() {
+    return CASE_NAMES[exec.scenario.iterationInTest % CASE_NAMES.length];
+}
+
+/**
+ * Create an order of the given type and take it to PAID
+ * @returns {string|null} Order ID
+ */
+function paidOrder(restaurantId, user, menuData, orderType) {
+    const customerId = loginCustomer(user, restaurantId);
+    const orderId = customerId && createOrder(restaurantId, customerId, menuData, {
+        paymentType: 'CREDIT',
+        orderType,
+    });
+    if (!orderId || !payOrder(orderId) ||
+        !waitForOrderStatus(orderId, [ORDER_LIFECYCLE.PAID], STATUS_TIMEOUT_MS).reached) {
+        return null;
+    }
+    return orderId;
+}
+
+// Where an order stores its cancellation reason (field name differs between API versions)
+const CANCEL_REASON_FIELDS = ['cancellationReason', 'cancelReason', 'cancel_reason'];
+
+// Missing reason field already logged by this VU (once per VU)
+let reasonFieldMissing = false;
+
+// Cancellation reason as stored on the order, undefined when it has none of the fields
+function cancelReason(order) {
+    const field = order ? CANCEL_REASON_FIELDS.find((f) => f in order) : undefined;
+    return field ? order[field] : undefined;
+}
+
+export default function (data) {
+    adoptSession(data?.auth);
+    const restaurantId = CONFIG.RESTAURANT_ID;
+    const user = getUserFromPool(userPool, __VU);
+    const name = pickCase();
+    const testCase = CASES[name];
+    const tags = { case: name };
+
+    let orderId = null;
+    group('Paid Order', function () {
+        orderId = paidOrder(restaurantId, user, data?.menuData, testCase.orderType);
+    });
+    if (!orderId) {
+        return;
+    }
+
+    group(`POS: ${name}`, function () {
+        let current = ORDER_LIFECYCLE.PAID;
+        const found = [];
+
+        // Counted once per order and kind - a broken state usually shows on every later step
+        const flag = (kind, detail) => {
+            if (found.includes(kind)) {
+                return;
+            }
+            found.push(kind);
+            violations.add(1, { case: name, kind });
+            console.warn(`POS status violation (${name}/${kind}) on order ${orderId}: ${detail}`);
+        };
+
+        for (const step of testCase.steps) {
+            const label = step.invalid ? `code ${step.status}` : `${step.status} (${POS_STATUS_CODES[step.status]})`;
+            const res = posUpdate(data?.menuSharingCode, orderId, step.status, step.options);
+            const accepted = res.status >= 200 && res.status < 300;
+            posCallbackTime.add(res.timings.duration, tags);
+
+            // Invalid codes should be refused, but never with a server error
+            check(res, {
+                [`POS ${label} handled`]: (r) => r.status > 0 && r.status < 500,
+                'Invalid POS code rejected': (r) => !step.invalid || r.status >= 400,
+            }, tags);
+
+            if (!step.invalid) {
+                posAcceptedRate.add(accepted ? 1 : 0, tags);
+                if (!accepted && !step.mayRefuse) {
+                    flag('refused', `${label} got ${res.status}`);
+                }
+            }
+
+            // A status that should hold cannot be polled for - give the backend time to (wrongly) move it
+            if (step.expect.includes(current)) {
+                sleep(SETTLE_SECONDS);
+            }
+            const { order, reached } = waitForOrderStatus(orderId, step.expect, STATUS_TIMEOUT_MS);
+            if (!reached) {
+                flag(step.invalid ? 'invalid_applied' : 'wrong_status',
+                    `${order ? order.status : 'order not readable'} after ${label}, expected ${step.expect.join(' or ')}`);
+            }
+            if (order) {
+                current = order.status;
+            }
+
+            if (step.options?.cancelReason && reached) {
+                const stored = cancelReason(fetchOrder(orderId));
+                if (stored !== undefined) {
+                    check(stored, { 'Cancel reason stored': (r) => r === step.options.cancelReason }, tags);
+                } else if (!reasonFieldMissing) {
+                    reasonFieldMissing = true;
+                    console.warn(`Order ${orderId} has no cancellation reason field ` +
+                        `(${CANCEL_REASON_FIELDS.join(', ')}) - reason not verified`);
+                }
+            }
+            sleep(randomSleep(300, 600));
+        }
+
+        correctRate.add(found.length === 0 ? 1 : 0, tags);
+    });
+
+    sleep(randomSleep(500, 1000));
+}
+
+export function setup() {
+    console.log('='.repeat(60));
+    console.log(`POS STATUS TEST - ${isSanityMode ? 'SANITY MODE' : 'POS CALLBACKS UNDER LOAD'}`);
+    console.log('='.repeat(60));
+    console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
+    console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
+    console.log(`Mode: ${isSanityMode ? 'sanity (every case once)' : 'load (multi-user)'}`);
+    console.log('');
+    console.log(`Cases: ${CASE_NAMES.join(', ')}`);
+    console.log(`Codes: ${Object.entries(POS_STATUS_CODES).map(([status, code]) => `${status}=${code}`).join(', ')}`);
+    console.log(`Invalid codes: ${INVALID_CODES.join(', ')}`);
+    console.log('='.repeat(60));
+
+    if (!CONFIG.RESTAURANT_ID) {
+        throw new Error('RESTAURANT_ID is required!');
+    }
+
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    // Menu items for order payloads, menuSharingCode (restID) for the POS callbacks
+    const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
+    const restaurantData = fetchRestaurantLocation(CONFIG.RESTAURANT_ID);
+
+    if (!restaurantData?.menuSharingCode) {
+        console.warn('Could not fetch menuSharingCode from restaurant API - POS callbacks will be refused');
+    }
+    console.log(`Loaded ${menuData?.items?.length || 0} menu items`);
+
+    return { startTime: Date.now(), menuData, menuSharingCode: restaurantData?.menuSharingCode, auth };
+}
+
+export function teardown(data) {
+    const duration = (Date.now() - data.startTime) / 1000 / 60;
+    console.log(`\nPOS status test completed in ${duration.toFixed(1)} minutes`);
+}
+
+/**
+ * Accepted share, correct orders, latency and violations per case
+ */
+function posReport(data) {
+    const lines = ['', '', '     POS STATUS (accepted / correct orders / p95 callback / violations)'];
+
+    for (const name of CASE_NAMES) {
+        const tag = `case:${name}`;
+        const duration = submetric(data, 'pos_status_duration', tag);
+
+        if (!duration || !duration.values || !duration.values.count) {
+            lines.push(`     ${name.padEnd(22)} no callbacks sent`);
+            continue;
+        }
+
+        lines.push(`     ${name.padEnd(22)} ${percent(submetric(data, 'pos_status_accepted_rate', tag))} / ` +
+            `${percent(submetric(data, 'pos_status_correct_rate', tag))} / ${p95(duration)} / ` +
+            `${count(submetric(data, 'pos_status_violations', tag))}  (${duration.values.count} callbacks)`);
+    }
+
+    lines.push(violationsLine(data, 'pos_status_violations', VIOLATION_KINDS,
+        'No violations: every callback led to the order status it allows'));
+
+    return lines.join('\n') + '\n';
+}
+
+export function handleSummary(data) {
+    return {
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + posReport(data) + failureCatalog(data),
+    };
+}
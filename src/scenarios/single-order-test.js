@@ -9,24 +9,36 @@
  * 3. Verify Payment
  * 4. POS Callback (ACCEPTED)
  * 5. POS Callback (READY_FOR_DELIVERY)
- * 6. Delivery Callbacks: CREATED → OUT_FOR_PICKUP → REACHED_PICKUP → PICKED_UP → OUT_FOR_DELIVERY → REACHED_DELIVERY → DELIVERED
+ * 6. Delivery Callbacks: sequence of the delivery profile (CONFIG.DELIVERY_PROFILES,
+ *    default minimal: CREATED → OUT_FOR_PICKUP → PICKED_UP → OUT_FOR_DELIVERY → DELIVERED)
  * 7. Verify Order Delivered
  *
  * Usage:
  *   ./run-tests.sh single-order --restaurant 324672
+ *   ./run-tests.sh single-order --restaurant 324672 --delivery-profiles with_transit
  */
 
-import { sleep, group, check } from 'k6';
+import { sleep, group } from 'k6';
 import { Trend, Rate } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
-import { CONFIG, ENDPOINTS } from '../config.js';
-import { apiGet, apiPost, extractId } from '../utils/helpers.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiGet, apiPost, extractId, extractPaymentOrderId, check, weightedPick, endpointThresholds, adoptSession, failureThresholds } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog } from '../utils/summary.js';
 import {
     generatePaymentVerifyDto,
     generateOrderStatusUpdate,
     generateDeliveryCallback,
     ORDER_LIFECYCLE,
-    DELIVERY_STATUS_SEQUENCE,
+    DELIVERY_SEQUENCE_PROFILES,
+    DELIVERY_STATUS_OFFSETS,
     fetchMenuData,
     fetchRestaurantLocation,
     generateDynamicOrderDto,
@@ -39,19 +51,22 @@ const stepSuccess = new Rate('step_success_rate');
 
 export const options = {
     scenarios: {
-        single_order: {
+        single_order: selectScenario({
             executor: 'shared-iterations',
             vus: 1,
             iterations: 1,
             maxDuration: '5m',
-        },
+        }),
     },
     thresholds: {
-        'step_success_rate': ['rate>0.90'],
+        ...endpointThresholds(),
+        ...sloThresholds('single_order'),
+        ...failureThresholds(),
     },
 };
 
 export default function (data) {
+    adoptSession(data?.auth);
     const restaurantId = CONFIG.RESTAURANT_ID;
     const customerId = CONFIG.CUSTOMER_ID;
     const menuData = data?.menuData;
@@ -90,7 +105,7 @@ export default function (data) {
             console.log('   Using static order data');
         }
 
-        const res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload);
+        const res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload, { schema: 'ORDER_CREATE' });
 
         const success = check(res, {
             'Order created': (r) => r.status === 200,
@@ -129,15 +144,14 @@ export default function (data) {
         const start = Date.now();
         console.log('💳 Step 2: Creating payment...');
 
-        const res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {});
+        const res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {}, { schema: 'PAYMENT_CREATE' });
         const success = check(res, { 'Payment created': (r) => r.status === 200 });
 
         if (success) {
-            try {
-                const body = JSON.parse(res.body);
-                paymentOrderId = body.data?.[0]?.paymentOrderId || body.data?.paymentOrderId;
+            paymentOrderId = extractPaymentOrderId(res);
+            if (paymentOrderId) {
                 console.log(`   ✅ Payment order created: ${paymentOrderId}`);
-            } catch (e) {
+            } else {
                 console.log('   ⚠️ Could not extract payment order ID');
             }
         } else {
@@ -167,7 +181,7 @@ export default function (data) {
 
         const verifyPayload = generatePaymentVerifyDto();
         verifyPayload.razorpayOrderId = paymentOrderId;
-        const res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload);
+        const res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload, { schema: 'PAYMENT_VERIFY' });
 
         const success = check(res, { 'Payment verified': (r) => r.status === 200 });
 
@@ -248,7 +262,7 @@ export default function (data) {
         console.log('Step 6: Processing delivery callbacks...');
 
         // Fetch delivery record to get the real deliveryOrderId
-        const deliveryRes = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId));
+        const deliveryRes = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId), { schema: 'DELIVERY_STATUS' });
         let channelOrderId = null;
 
         if (deliveryRes.status === 200) {
@@ -274,22 +288,14 @@ export default function (data) {
         let logs = [];
         let allSuccess = true;
         const baseTime = new Date();
+        const deliveryProfile = weightedPick(CONFIG.DELIVERY_PROFILES);
 
-        // Minutes offset for each status (incremental timestamps)
-        const statusTimeOffsets = {
-            'CREATED': 1,
-            'OUT_FOR_PICKUP': 3,
-            'PICKED_UP': 12,
-            'OUT_FOR_DELIVERY': 12,
-            'DELIVERED': 22,
-        };
-
-        console.log('   Delivery status sequence:');
+        console.log(`   Delivery status sequence (${deliveryProfile}):`);
         console.log(`   Delivery Order ID: ${deliveryId}`);
         console.log(`   Channel Order ID: ${channelOrderId}`);
 
-        for (const status of DELIVERY_STATUS_SEQUENCE) {
-            const minutesOffset = statusTimeOffsets[status] || 0;
+        for (const status of DELIVERY_SEQUENCE_PROFILES[deliveryProfile]) {
+            const minutesOffset = DELIVERY_STATUS_OFFSETS[status] || 0;
             const { payload, logs: updatedLogs } = generateDeliveryCallback(
                 orderId,
                 deliveryId,
@@ -328,7 +334,7 @@ export default function (data) {
         const start = Date.now();
         console.log('✅ Step 7: Verifying order delivered...');
 
-        const res = apiGet(ENDPOINTS.ORDER_GET(orderId));
+        const res = apiGet(ENDPOINTS.ORDER_GET(orderId), { schema: 'ORDER_GET' });
         let orderStatus = 'UNKNOWN';
 
         try {
@@ -366,8 +372,11 @@ export function setup() {
     console.log('SINGLE ORDER TEST - Setup');
     console.log('='.repeat(60));
     console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
     console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
     console.log(`Customer: ${CONFIG.CUSTOMER_ID || 'NOT SET!'}`);
+    console.log(`Delivery profiles: ${CONFIG.DELIVERY_PROFILES.map((e) => `${Math.round(e.weight * 100)}% ${e.name}`).join(', ')}`);
     console.log('');
 
     if (!CONFIG.RESTAURANT_ID) {
@@ -378,6 +387,8 @@ export function setup() {
         throw new Error('CUSTOMER_ID is required! Set in configs/.env');
     }
 
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
     // Fetch restaurant data (menuSharingCode)
     console.log('Fetching restaurant data...');
     const restaurantData = fetchRestaurantLocation(CONFIG.RESTAURANT_ID);
@@ -404,7 +415,7 @@ export function setup() {
     console.log('      → POS ACCEPTED → DELIVERY CALLBACKS → DELIVERED');
     console.log('='.repeat(60) + '\n');
 
-    return { startTime: Date.now(), menuData, menuSharingCode };
+    return { startTime: Date.now(), menuData, menuSharingCode, auth };
 }
 
 export function teardown(data) {
@@ -414,6 +425,6 @@ export function teardown(data) {
 
 export function handleSummary(data) {
     return {
-        'stdout': textSummary(data, { indent: ' ', enableColors: true }),
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + failureCatalog(data),
     };
 }
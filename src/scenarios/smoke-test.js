@@ -10,11 +10,20 @@
  * Usage: ./run-tests.sh smoke --restaurant 324672
  */
 
-import { sleep, group, check } from 'k6';
+import { sleep, group } from 'k6';
 import { Rate } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
-import { CONFIG, ENDPOINTS, THRESHOLDS } from '../config.js';
-import { apiGet, apiPost } from '../utils/helpers.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiGet, apiPost, check, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog } from '../utils/summary.js';
 import { generateLoginDto, generateVerifyOtpDto } from '../data/test-data.js';
 import { htmlReport } from 'https://raw.githubusercontent.com/benc-uk/k6-reporter/main/dist/bundle.js';
 
@@ -22,26 +31,33 @@ import { htmlReport } from 'https://raw.githubusercontent.com/benc-uk/k6-reporte
 const successRate = new Rate('smoke_success_rate');
 
 export const options = {
-    vus: 1,
-    iterations: 1,
+    scenarios: {
+        smoke: selectScenario({
+            executor: 'shared-iterations',
+            vus: 1,
+            iterations: 1,
+        }),
+    },
     thresholds: {
-        ...THRESHOLDS,
-        'smoke_success_rate': ['rate>0.95'],
+        ...endpointThresholds(),
+        ...sloThresholds('smoke'),
+        ...failureThresholds(),
     },
 };
 
-export default function () {
+export default function (data) {
+    adoptSession(data?.auth);
     const results = { passed: 0, failed: 0 };
 
     // 1. Restaurant Endpoints
     group('2. Restaurant', function () {
-        let res = apiGet(ENDPOINTS.RESTAURANT_LIST);
+        let res = apiGet(ENDPOINTS.RESTAURANT_LIST, { schema: 'RESTAURANT_LIST' });
         let passed = check(res, { 'Restaurant list OK': (r) => r.status === 200 });
         updateResults(results, passed);
         console.log(`   Restaurant List: ${passed ? 'PASS' : 'FAIL'}`);
 
         if (CONFIG.RESTAURANT_ID) {
-            res = apiGet(ENDPOINTS.RESTAURANT_GET(CONFIG.RESTAURANT_ID));
+            res = apiGet(ENDPOINTS.RESTAURANT_GET(CONFIG.RESTAURANT_ID), { schema: 'RESTAURANT_GET' });
             passed = check(res, { 'Restaurant get OK': (r) => r.status === 200 });
             updateResults(results, passed);
             console.log(`   Restaurant Get: ${passed ? 'PASS' : 'FAIL'}`);
@@ -51,7 +67,7 @@ export default function () {
 
     // 3. Menu Endpoints
     group('3. Menu', function () {
-        let res = apiGet(ENDPOINTS.CATEGORY_LIST);
+        let res = apiGet(ENDPOINTS.CATEGORY_LIST, { schema: 'CATEGORY_LIST' });
         let passed = check(res, { 'Category list OK': (r) => r.status === 200 });
         updateResults(results, passed);
         console.log(`   Categories: ${passed ? 'PASS' : 'FAIL'}`);
@@ -62,7 +78,7 @@ export default function () {
         console.log(`   Items: ${passed ? 'PASS' : 'FAIL'}`);
 
         if (CONFIG.RESTAURANT_ID) {
-            res = apiGet(ENDPOINTS.MENU_CATEGORY(CONFIG.RESTAURANT_ID));
+            res = apiGet(ENDPOINTS.MENU_CATEGORY(CONFIG.RESTAURANT_ID), { schema: 'MENU_CATEGORY' });
             passed = check(res, { 'Menu category OK': (r) => r.status === 200 });
             updateResults(results, passed);
             console.log(`   Menu Categories: ${passed ? 'PASS' : 'FAIL'}`);
@@ -85,7 +101,7 @@ export default function () {
 
         if (passed && CONFIG.RESTAURANT_ID) {
             const verifyDto = generateVerifyOtpDto('9800000001', CONFIG.RESTAURANT_ID, CONFIG.LOAD_TEST_OTP);
-            res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto);
+            res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
             passed = check(res, { 'OTP verify OK': (r) => r.status === 200 });
             updateResults(results, passed);
             console.log(`   OTP Verify: ${passed ? 'PASS' : 'FAIL'}`);
@@ -95,7 +111,7 @@ export default function () {
 
     // 5. Order Endpoints
     group('5. Orders', function () {
-        const res = apiGet(ENDPOINTS.ORDER_LIST);
+        const res = apiGet(ENDPOINTS.ORDER_LIST, { schema: 'ORDER_LIST' });
         const passed = check(res, { 'Order list OK': (r) => r.status === 200 });
         updateResults(results, passed);
         console.log(`   Order List: ${passed ? 'PASS' : 'FAIL'}`);
@@ -142,9 +158,14 @@ export function setup() {
     console.log('SMOKE TEST - Quick API Health Validation');
     console.log('='.repeat(50));
     console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
     console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'Not set'}`);
     console.log('='.repeat(50));
-    return { startTime: Date.now() };
+
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    return { startTime: Date.now(), auth };
 }
 
 export function teardown(data) {
@@ -154,6 +175,6 @@ export function teardown(data) {
 
 export function handleSummary(data) {
     return {
-        'stdout': textSummary(data, { indent: ' ', enableColors: true })
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + failureCatalog(data)
     };
 }
@@ -0,0 +1,232 @@
+/**
+ * Soak Test - Mixed Traffic for Hours
+ *
+ * Runs the mixed traffic of load-test.js (SCENARIOS.soak: 100 VUs for 2h) and
+ * watches for slow degradation - memory leaks, Mongo connection pool exhaustion:
+ * - Every request is tagged with its 10-minute window (window: w00, w01, ...)
+ *   and with the drift period (period: first | middle | last) it falls in
+ * - The summary lists p95 and error rate per window and flags drift between
+ *   the first and the last hour
+ *
+ * Modes:
+ * - sanity: Single user, quick validation (~2 min)
+ * - soak:   100 VUs for 2 hours (override with --load / --duration-scale)
+ *
+ * Usage:
+ *   ./run-tests.sh soak --restaurant 324672 --mode sanity  # Quick validation
+ *   ./run-tests.sh soak --restaurant 324672                # Full soak test
+ */
+
+import exec from 'k6/execution';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+import {
+    CONFIG,
+    SCENARIOS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+    formatDuration,
+    scenarioDuration,
+} from '../config.js';
+import { endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog } from '../utils/summary.js';
+import { fetchMenuData, fetchTrackableOrderIds } from '../data/test-data.js';
+import mixedTraffic from './load-test.js';
+
+// Check if sanity mode
+const isSanityMode = CONFIG.USER_MODE === 'sanity';
+
+// Time buckets
+const WINDOW_SECONDS = 10 * 60;
+const MAX_DRIFT_PERIOD_SECONDS = 60 * 60;
+
+// Drift = last period p95 more than 25% above the first, or error rate up by more than 1 point
+const DRIFT_LATENCY_FACTOR = 1.25;
+const DRIFT_ERROR_MARGIN = 0.01;
+
+// Scenario configurations
+const sanityScenario = {
+    executor: 'per-vu-iterations',
+    vus: 1,
+    iterations: 4,  // Test each traffic type once
+    maxDuration: '5m',
+};
+
+const soakScenario = selectScenario(SCENARIOS.soak);
+
+const soakSeconds = scenarioDuration(soakScenario);
+const windowCount = Math.max(1, Math.ceil(soakSeconds / WINDOW_SECONDS));
+
+// First / last hour, or halves of the run when it is shorter than two hours
+const driftPeriodSeconds = Math.min(MAX_DRIFT_PERIOD_SECONDS, soakSeconds / 2);
+
+// Window thresholds always pass - they only make the tagged submetrics visible to handleSummary
+function windowThresholds() {
+    const thresholds = {};
+    const tags = ['period:first', 'period:last'];
+    for (let i = 0; i < windowCount; i++) {
+        tags.push(`window:${windowName(i)}`);
+    }
+    for (const tag of tags) {
+        thresholds[`http_req_duration{${tag}}`] = ['max>=0'];
+        thresholds[`http_req_failed{${tag}}`] = ['rate>=0'];
+    }
+    return thresholds;
+}
+
+function windowName(index) {
+    return `w${String(index).padStart(2, '0')}`;
+}
+
+export const options = {
+    // count lets the summary tell a window without samples from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
+    scenarios: {
+        soak_test: isSanityMode ? sanityScenario : soakScenario,
+    },
+    thresholds: {
+        ...endpointThresholds(),
+        ...sloThresholds('soak_test'),
+        ...failureThresholds(),
+        ...(isSanityMode ? {} : windowThresholds()),
+    },
+};
+
+// Tag every metric this VU emits with the current window and drift period
+function tagTimeWindow() {
+    const elapsedSeconds = (Date.now() - exec.scenario.startTime) / 1000;
+    const tags = exec.vu.metrics.tags;
+
+    tags.window = windowName(Math.min(Math.floor(elapsedSeconds / WINDOW_SECONDS), windowCount - 1));
+
+    if (elapsedSeconds < driftPeriodSeconds) {
+        tags.period = 'first';
+    } else if (elapsedSeconds >= soakSeconds - driftPeriodSeconds) {
+        tags.period = 'last';
+    } else {
+        tags.period = 'middle';
+    }
+}
+
+export default function (data) {
+    adoptSession(data?.auth);
+    if (!isSanityMode) {
+        tagTimeWindow();
+    }
+    mixedTraffic(data);
+}
+
+export function setup() {
+    console.log('='.repeat(60));
+    console.log(`SOAK TEST - ${isSanityMode ? 'SANITY MODE' : 'MIXED TRAFFIC OVER TIME'}`);
+    console.log('='.repeat(60));
+    console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
+    console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
+    console.log(`Mode: ${isSanityMode ? 'sanity (single user validation)' : 'soak (multi-user)'}`);
+    console.log('');
+    console.log('Traffic Mix (load-test.js):');
+    console.log('  40% - Menu browsing');
+    console.log('  25% - Order flow (login → order → payment)');
+    console.log('  20% - Order tracking');
+    console.log('  15% - Other operations');
+    if (!isSanityMode) {
+        console.log('');
+        console.log(`Windows: ${windowCount} x ${formatDuration(WINDOW_SECONDS)}, ` +
+            `drift: first vs last ${formatDuration(driftPeriodSeconds)}`);
+    }
+    console.log('='.repeat(60));
+
+    if (!CONFIG.RESTAURANT_ID) {
+        throw new Error('RESTAURANT_ID is required!');
+    }
+
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    // Fetch menu data
+    const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
+
+    // Fetch trackable orders (same approach as tracking-stress-test)
+    const orderIds = fetchTrackableOrderIds();
+
+    console.log(`Loaded ${menuData?.items?.length || 0} menu items`);
+    console.log(`Found ${orderIds.length} orders with fulfilled deliveries for tracking`);
+
+    return { startTime: Date.now(), menuData, orderIds, auth };
+}
+
+export function teardown(data) {
+    const duration = (Date.now() - data.startTime) / 1000 / 60;
+    console.log(`\nSoak test completed in ${duration.toFixed(1)} minutes`);
+}
+
+// p95 (ms) and error rate for one tag, null when it has no samples
+function windowStats(data, tag) {
+    const duration = data.metrics[`http_req_duration{${tag}}`];
+    const failed = data.metrics[`http_req_failed{${tag}}`];
+
+    if (!duration || !duration.values || !duration.values.count) {
+        return null;
+    }
+    return {
+        p95: duration.values['p(95)'],
+        errorRate: failed && failed.values ? failed.values.rate : 0,
+    };
+}
+
+function formatStats(stats) {
+    return `p95 ${Math.round(stats.p95)}ms, errors ${(stats.errorRate * 100).toFixed(2)}%`;
+}
+
+/**
+ * Per-window latency / error rate and drift between the first and last period
+ */
+function driftReport(data) {
+    const lines = ['', '', '     SOAK DRIFT'];
+    const first = windowStats(data, 'period:first');
+    const last = windowStats(data, 'period:last');
+
+    if (!first) {
+        lines.push('     No windowed samples (sanity mode or aborted run)');
+        return lines.join('\n') + '\n';
+    }
+
+    const maxP95 = first.p95 * DRIFT_LATENCY_FACTOR;
+    const maxErrorRate = first.errorRate + DRIFT_ERROR_MARGIN;
+
+    for (let i = 0; i < windowCount; i++) {
+        const stats = windowStats(data, `window:${windowName(i)}`);
+        const start = i === 0 ? '0s' : formatDuration(i * WINDOW_SECONDS);
+        const degraded = stats && (stats.p95 > maxP95 || stats.errorRate > maxErrorRate);
+
+        lines.push(`     ${windowName(i)} (+${start}): ${stats ? formatStats(stats) : 'no samples'}` +
+            `${degraded ? '  (above first period)' : ''}`);
+    }
+
+    const period = formatDuration(driftPeriodSeconds);
+    lines.push(`     First ${period}: ${formatStats(first)}`);
+
+    if (!last) {
+        lines.push(`     Last ${period}: no samples (run ended early)`);
+        return lines.join('\n') + '\n';
+    }
+    lines.push(`     Last ${period}: ${formatStats(last)}`);
+
+    const p95Change = ((last.p95 - first.p95) / first.p95) * 100;
+    const errorChange = (last.errorRate - first.errorRate) * 100;
+    const drifted = last.p95 > maxP95 || last.errorRate > maxErrorRate;
+
+    lines.push(`     ${drifted ? 'DRIFT DETECTED' : 'No drift'}: p95 ${p95Change >= 0 ? '+' : ''}${p95Change.toFixed(0)}%, ` +
+        `errors ${errorChange >= 0 ? '+' : ''}${errorChange.toFixed(2)} points (last vs first ${period})`);
+
+    return lines.join('\n') + '\n';
+}
+
+export function handleSummary(data) {
+    return {
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + driftReport(data) + failureCatalog(data),
+    };
+}
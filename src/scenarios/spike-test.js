@@ -0,0 +1,369 @@
+/**
+ * Spike Test - Lunch-Rush Burst
+ *
+ * Sudden burst of customers (SCENARIOS.spike: 0 → 500 VUs in 10s) on top of steady traffic:
+ * - Menu views (MENU_CATEGORY)
+ * - Login (OTP + verify)
+ * - Order creation
+ *
+ * Recovery: a few probe VUs fetch the menu at a steady pace before, during and after
+ * the spike. Their latency and error rate are recorded per 30s window after the spike,
+ * and the summary reports how long it took for p95 and error rate to return to baseline.
+ *
+ * Modes:
+ * - sanity: Single user, quick validation (~1 min)
+ * - spike:  Warm-up (2m) → spike (1m20s) → recovery (5m)
+ *
+ * Usage:
+ *   ./run-tests.sh spike --restaurant 324672 --mode sanity  # Quick validation
+ *   ./run-tests.sh spike --restaurant 324672                # Full spike test
+ */
+
+import { sleep, group } from 'k6';
+import exec from 'k6/execution';
+import { Trend, Rate, Counter } from 'k6/metrics';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    SCENARIOS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+    parseDuration,
+    formatDuration,
+    scenarioDuration,
+} from '../config.js';
+import { apiGet, apiPost, extractId, check, randomSleep, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog } from '../utils/summary.js';
+import {
+    generateLoginDto,
+    generateVerifyOtpDto,
+    generateUserPool,
+    getUserFromPool,
+    fetchMenuData,
+    generateDynamicOrderDto,
+    generateOrderDto,
+} from '../data/test-data.js';
+
+// Custom metrics
+const spikeSuccessRate = new Rate('spike_success_rate');
+const menuFetchTime = new Trend('menu_fetch_duration');
+const loginTime = new Trend('login_duration');
+const orderCreateTime = new Trend('order_create_duration');
+const ordersCreated = new Counter('orders_created');
+
+// Probe metrics (tagged phase: baseline|spike|recovery, window: r0, r1, ... after the spike)
+const probeTime = new Trend('spike_probe_duration', true);
+const probeErrors = new Rate('spike_probe_errors');
+
+// Check if sanity mode
+const isSanityMode = CONFIG.USER_MODE === 'sanity';
+
+// Generate user pool
+const userPool = generateUserPool(isSanityMode ? 1 : 1000);
+
+// Timeline (DURATION_SCALE applies to warm-up and recovery as well as to the spike)
+const PROBE_VUS = 5;
+const WINDOW_SECONDS = 30;
+const warmupSeconds = parseDuration('2m') * CONFIG.DURATION_SCALE;
+const recoverySeconds = parseDuration('5m') * CONFIG.DURATION_SCALE;
+const recoveryWindows = Math.ceil(recoverySeconds / WINDOW_SECONDS);
+
+// Recovered = probe p95 within 20% of baseline and error rate within +1 point
+const RECOVERY_LATENCY_FACTOR = 1.2;
+const RECOVERY_ERROR_MARGIN = 0.01;
+
+// Scenario configurations
+const sanityScenario = {
+    executor: 'per-vu-iterations',
+    vus: 1,
+    iterations: 3,  // Menu view, login, order once each
+    maxDuration: '2m',
+};
+
+const spikeScenario = {
+    ...selectScenario(SCENARIOS.spike),
+    startTime: formatDuration(warmupSeconds),
+    exec: 'spike',
+};
+
+const spikeSeconds = scenarioDuration(spikeScenario);
+const spikeEndSeconds = warmupSeconds + spikeSeconds;
+
+const probeScenario = {
+    executor: 'constant-vus',
+    vus: PROBE_VUS,
+    duration: formatDuration(spikeEndSeconds + recoverySeconds),
+    exec: 'probe',
+};
+
+// Probe thresholds always pass - they only make the tagged submetrics
+// (baseline and each recovery window) visible to handleSummary
+function probeThresholds() {
+    const thresholds = {
+        'spike_probe_duration{phase:baseline}': ['max>=0'],
+        'spike_probe_errors{phase:baseline}': ['rate>=0'],
+    };
+    for (let i = 0; i < recoveryWindows; i++) {
+        thresholds[`spike_probe_duration{window:r${i}}`] = ['max>=0'];
+        thresholds[`spike_probe_errors{window:r${i}}`] = ['rate>=0'];
+    }
+    return thresholds;
+}
+
+export const options = {
+    // count lets the summary tell a recovery window without samples from a fast one
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
+    scenarios: isSanityMode
+        ? { spike_sanity: { ...sanityScenario, exec: 'spike' } }
+        : { spike: spikeScenario, spike_probe: probeScenario },
+    thresholds: {
+        ...endpointThresholds(),
+        ...sloThresholds('spike_test'),
+        ...failureThresholds(),
+        ...(isSanityMode ? {} : probeThresholds()),
+    },
+};
+
+// ============================================
+// SPIKE TRAFFIC
+// ============================================
+
+function viewMenu(restaurantId) {
+    group('Menu View', function () {
+        const res = apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId), { schema: 'MENU_CATEGORY' });
+        menuFetchTime.add(res.timings.duration);
+
+        const success = check(res, {
+            'Menu fetch status 200': (r) => r.status === 200,
+        });
+        spikeSuccessRate.add(success ? 1 : 0);
+    });
+}
+
+// Returns the customer id, or null when login failed
+function login(user, restaurantId) {
+    let customerId = null;
+
+    group('Login', function () {
+        const start = Date.now();
+
+        let res = apiPost(ENDPOINTS.LOGIN_OTP, generateLoginDto(user.name, user.mobile));
+        if (res.status !== 200) {
+            spikeSuccessRate.add(0);
+            return;
+        }
+
+        sleep(randomSleep(100, 200));
+
+        const verifyDto = generateVerifyOtpDto(user.mobile, restaurantId, CONFIG.LOAD_TEST_OTP);
+        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
+        loginTime.add(Date.now() - start);
+
+        const success = check(res, {
+            'Login successful': (r) => r.status === 200,
+        });
+        spikeSuccessRate.add(success ? 1 : 0);
+
+        if (success) {
+            customerId = extractId(res);
+        }
+    });
+
+    return customerId;
+}
+
+function createOrder(restaurantId, customerId, menuData) {
+    group('Create Order', function () {
+        const orderOptions = { paymentType: 'CREDIT', orderType: '1' };
+        const payload = menuData && menuData.items && menuData.items.length > 0
+            ? generateDynamicOrderDto(restaurantId, customerId, menuData, orderOptions)
+            : generateOrderDto(restaurantId, customerId, orderOptions);
+
+        const res = apiPost(ENDPOINTS.ORDER_CREATE, payload, { schema: 'ORDER_CREATE' });
+        orderCreateTime.add(res.timings.duration);
+
+        const success = check(res, {
+            'Order created': (r) => r.status === 200,
+            'Order ID received': (r) => !!extractId(r),
+        });
+        spikeSuccessRate.add(success ? 1 : 0);
+
+        if (success) {
+            ordersCreated.add(1);
+        }
+    });
+}
+
+/**
+ * Spike VUs: mostly menu views, some logins, some orders
+ * 60% menu only, 25% menu + login, 15% menu + login + order
+ */
+export function spike(data) {
+    adoptSession(data?.auth);
+    const restaurantId = CONFIG.RESTAURANT_ID;
+    const user = getUserFromPool(userPool, __VU);
+
+    // Sanity mode walks each path once
+    const action = isSanityMode ? exec.vu.iterationInScenario / 3 + 0.3 : Math.random();
+
+    viewMenu(restaurantId);
+
+    if (action >= 0.60) {
+        sleep(randomSleep(200, 500));
+        const customerId = login(user, restaurantId);
+
+        if (customerId && action >= 0.85) {
+            sleep(randomSleep(200, 500));
+            createOrder(restaurantId, customerId, data?.menuData);
+        }
+    }
+
+    sleep(randomSleep(500, 1500));
+}
+
+// ============================================
+// RECOVERY PROBE
+// ============================================
+
+function currentPhase(elapsedSeconds) {
+    if (elapsedSeconds < warmupSeconds) return { phase: 'baseline' };
+    if (elapsedSeconds < spikeEndSeconds) return { phase: 'spike' };
+
+    const window = Math.floor((elapsedSeconds - spikeEndSeconds) / WINDOW_SECONDS);
+    return { phase: 'recovery', window: `r${Math.min(window, recoveryWindows - 1)}` };
+}
+
+/**
+ * Probe VUs: one menu fetch per second, tagged with the phase of the run
+ */
+export function probe(data) {
+    adoptSession(data?.auth);
+    const elapsedSeconds = (Date.now() - exec.scenario.startTime) / 1000;
+    const tags = currentPhase(elapsedSeconds);
+
+    // No retries: the windows measure the raw 5xx and latency, not the backoff
+    const res = apiGet(ENDPOINTS.MENU_CATEGORY(CONFIG.RESTAURANT_ID), { tags: { probe: 'true' }, retry: 'none' });
+    probeTime.add(res.timings.duration, tags);
+    probeErrors.add(res.status === 200 ? 0 : 1, tags);
+
+    sleep(1);
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+export function setup() {
+    console.log('='.repeat(60));
+    console.log(`SPIKE TEST - ${isSanityMode ? 'SANITY MODE' : 'LUNCH-RUSH BURST'}`);
+    console.log('='.repeat(60));
+    console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
+    console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
+    console.log(`Mode: ${isSanityMode ? 'sanity (single user validation)' : 'spike (warm-up → burst → recovery)'}`);
+    console.log('');
+    console.log('Traffic Mix:');
+    console.log('  60% - Menu view');
+    console.log('  25% - Menu view + login');
+    console.log('  15% - Menu view + login + order');
+    if (!isSanityMode) {
+        console.log('');
+        console.log(`Recovery: ${PROBE_VUS} probe VUs, ${recoveryWindows} windows of ${WINDOW_SECONDS}s after the spike`);
+    }
+    console.log('='.repeat(60));
+
+    if (!CONFIG.RESTAURANT_ID) {
+        throw new Error('RESTAURANT_ID is required!');
+    }
+
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
+    // Fetch menu data
+    console.log('\nFetching menu data...');
+    const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
+
+    if (menuData) {
+        console.log(`Loaded ${menuData.items?.length || 0} items`);
+    } else {
+        console.warn('Using static menu data');
+    }
+
+    return { startTime: Date.now(), menuData, auth };
+}
+
+export function teardown(data) {
+    const duration = (Date.now() - data.startTime) / 1000 / 60;
+    console.log(`\nSpike test completed in ${duration.toFixed(1)} minutes`);
+}
+
+// p95 (ms) and error rate of a probe submetric, null when it has no samples
+function probeStats(data, selector) {
+    const duration = data.metrics[`spike_probe_duration{${selector}}`];
+    const errors = data.metrics[`spike_probe_errors{${selector}}`];
+
+    if (!duration || !duration.values || !duration.values.count) {
+        return null;
+    }
+    return {
+        p95: duration.values['p(95)'],
+        errorRate: errors && errors.values ? errors.values.rate : 0,
+    };
+}
+
+function formatStats(stats) {
+    return `p95 ${Math.round(stats.p95)}ms, errors ${(stats.errorRate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Recovery time: start of the first window after the spike from which every
+ * later window stays within the baseline limits
+ */
+function recoveryReport(data) {
+    const lines = ['', '', '     SPIKE RECOVERY'];
+    const baseline = probeStats(data, 'phase:baseline');
+
+    if (!baseline) {
+        lines.push('     No baseline probe samples (sanity mode or aborted run)');
+        return lines.join('\n') + '\n';
+    }
+
+    const maxP95 = baseline.p95 * RECOVERY_LATENCY_FACTOR;
+    const maxErrorRate = baseline.errorRate + RECOVERY_ERROR_MARGIN;
+    lines.push(`     Baseline: ${formatStats(baseline)}`);
+
+    let recoveredAt = null;
+    for (let i = 0; i < recoveryWindows; i++) {
+        const stats = probeStats(data, `window:r${i}`);
+        const ok = stats && stats.p95 <= maxP95 && stats.errorRate <= maxErrorRate;
+
+        const offset = i === 0 ? '0s' : formatDuration(i * WINDOW_SECONDS);
+        lines.push(`     +${offset}: ${stats ? formatStats(stats) : 'no samples'}` +
+            `${ok ? '' : '  (above baseline)'}`);
+
+        if (ok && recoveredAt === null) {
+            recoveredAt = i;
+        } else if (!ok) {
+            recoveredAt = null;
+        }
+    }
+
+    if (recoveredAt === null) {
+        lines.push(`     Not recovered within ${formatDuration(recoverySeconds)} after the spike`);
+    } else {
+        const after = recoveredAt === 0 ? 'immediately' : formatDuration(recoveredAt * WINDOW_SECONDS);
+        lines.push(`     Recovered ${after} after the spike (p95 within 20% of baseline, errors within +1%)`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+export function handleSummary(data) {
+    return {
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + recoveryReport(data) + failureCatalog(data),
+    };
+}
@@ -5,6 +5,7 @@
  * - Extreme concurrent users
  * - All operations under heavy load
  * - Find breaking points and bottlenecks
+ * - Abort once the backend collapses and report the breaking point
  *
  * Modes:
  * - sanity: Single user, quick validation (~2 min)
@@ -15,11 +16,21 @@
  *   ./run-tests.sh stress --restaurant 324672                # Full stress test
  */
 
-import { sleep, group, check } from 'k6';
+import { sleep, group } from 'k6';
 import { Trend, Rate, Counter, Gauge } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
-import { CONFIG, ENDPOINTS, THRESHOLDS } from '../config.js';
-import { apiGet, apiPost, extractId, randomSleep } from '../utils/helpers.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiGet, apiPost, extractId, extractPaymentOrderId, fetchAll, randomSleep, endpointThresholds, adoptSession, failureThresholds } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog, breakingPoint } from '../utils/summary.js';
+import { enableCollapseGuard, collapseThresholds } from '../utils/collapse-guard.js';
 import {
     generateLoginDto,
     generateVerifyOtpDto,
@@ -54,6 +65,11 @@ const isSanityMode = CONFIG.USER_MODE === 'sanity';
 // User pool
 const userPool = generateUserPool(isSanityMode ? 1 : 2000);
 
+// Stop the ramp once the backend has collapsed instead of running it to the end
+if (!isSanityMode) {
+    enableCollapseGuard();
+}
+
 // Scenario configurations
 const sanityScenario = {
     executor: 'per-vu-iterations',
@@ -78,20 +94,30 @@ const stressScenario = {
 
 export const options = {
     scenarios: {
-        stress_test: isSanityMode ? sanityScenario : stressScenario,
+        stress_test: isSanityMode ? sanityScenario : selectScenario(stressScenario),
     },
     thresholds: {
-        // Relaxed thresholds for stress test
-        'http_req_duration': ['p(95)<5000', 'p(99)<10000'],
-        'http_req_failed': ['rate<0.20'],  // Allow up to 20% failures
-        'error_rate': ['rate<0.25'],
-        'success_rate': ['rate>0.75'],
-        'response_time': ['p(95)<5000'],
+        ...endpointThresholds(),
+        // Relaxed thresholds for stress test (stress_test in src/slo/*.json)
+        ...sloThresholds('stress_test'),
+        ...failureThresholds(),
+        ...(isSanityMode ? {} : collapseThresholds()),
     },
 };
 
 export default function (data) {
+    adoptSession(data?.auth);
     activeUsers.add(__VU);
+    stressOperation(data);
+    sleep(randomSleep(100, 500));
+}
+
+/**
+ * Run one operation of the stress mix (also drives breakpoint-test.js)
+ * @returns {{ op: string, ok: boolean }} Operation class (menu | login | order |
+ *          tracking | mixed) and whether it succeeded
+ */
+export function stressOperation(data) {
     const restaurantId = CONFIG.RESTAURANT_ID;
     const menuData = data?.menuData;
 
@@ -100,29 +126,26 @@ export default function (data) {
 
     if (action < 0.30) {
         // 30% - Menu stress
-        stressMenu(restaurantId);
+        return { op: 'menu', ok: stressMenu(restaurantId) };
     } else if (action < 0.50) {
         // 20% - Login stress
-        stressLogin(restaurantId);
+        return { op: 'login', ok: stressLogin(restaurantId) };
     } else if (action < 0.75) {
         // 25% - Order stress
-        stressOrder(restaurantId, menuData);
+        return { op: 'order', ok: stressOrder(restaurantId, menuData) };
     } else if (action < 0.90) {
         // 15% - Tracking stress
-        stressTracking(data?.orderIds);
-    } else {
-        // 10% - Mixed operations
-        stressMixed();
+        return { op: 'tracking', ok: stressTracking(data?.orderIds) };
     }
-
-    sleep(randomSleep(100, 500));
+    // 10% - Mixed operations
+    return { op: 'mixed', ok: stressMixed() };
 }
 
 function stressMenu(restaurantId) {
-    group('Stress: Menu', function () {
+    return group('Stress: Menu', function () {
         const start = Date.now();
 
-        const res = apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId));
+        const res = apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId), { schema: 'MENU_CATEGORY' });
         const duration = Date.now() - start;
 
         menuResponseTime.add(duration);
@@ -137,11 +160,12 @@ function stressMenu(restaurantId) {
             errorRate.add(1);
             if (res.status === 0) timeouts.add(1);
         }
+        return res.status === 200;
     });
 }
 
 function stressLogin(restaurantId) {
-    group('Stress: Login', function () {
+    return group('Stress: Login', function () {
         const user = getUserFromPool(userPool, __VU);
         const start = Date.now();
 
@@ -154,12 +178,12 @@ function stressLogin(restaurantId) {
             responseTime.add(Date.now() - start);
             errorRate.add(1);
             successRate.add(0);
-            return;
+            return false;
         }
 
         // Verify OTP
         const verifyDto = generateVerifyOtpDto(user.mobile, restaurantId, CONFIG.LOAD_TEST_OTP);
-        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto);
+        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
 
         const duration = Date.now() - start;
         loginResponseTime.add(duration);
@@ -173,11 +197,12 @@ function stressLogin(restaurantId) {
             successRate.add(0);
             errorRate.add(1);
         }
+        return res.status === 200;
     });
 }
 
 function stressOrder(restaurantId, menuData) {
-    group('Stress: Order', function () {
+    return group('Stress: Order', function () {
         const user = getUserFromPool(userPool, __VU);
         const start = Date.now();
         ordersAttempted.add(1);
@@ -189,11 +214,11 @@ function stressOrder(restaurantId, menuData) {
         if (res.status !== 200) {
             ordersFailed.add(1);
             errorRate.add(1);
-            return;
+            return false;
         }
 
         const verifyDto = generateVerifyOtpDto(user.mobile, restaurantId, CONFIG.LOAD_TEST_OTP);
-        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto);
+        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
 
         let customerId = null;
         if (res.status === 200) {
@@ -206,7 +231,7 @@ function stressOrder(restaurantId, menuData) {
         if (!customerId) {
             ordersFailed.add(1);
             errorRate.add(1);
-            return;
+            return false;
         }
 
         // Create order
@@ -223,33 +248,28 @@ function stressOrder(restaurantId, menuData) {
             });
         }
 
-        res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload);
+        res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload, { schema: 'ORDER_CREATE' });
         const orderId = extractId(res);
 
         if (!orderId) {
             ordersFailed.add(1);
             orderResponseTime.add(Date.now() - start);
             errorRate.add(1);
-            return;
+            return false;
         }
 
         // Payment
-        res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {});
-        let paymentOrderId = null;
-
-        if (res.status === 200) {
-            try {
-                const body = JSON.parse(res.body);
-                paymentOrderId = body.data?.[0]?.paymentOrderId;
-            } catch (e) {}
-        }
+        res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {}, { schema: 'PAYMENT_CREATE' });
+        const paymentOrderId = res.status === 200 ? extractPaymentOrderId(res) : null;
+        let paid = false;
 
         if (paymentOrderId) {
             const verifyPayload = generatePaymentVerifyDto();
             verifyPayload.razorpayOrderId = paymentOrderId;
-            res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload);
+            res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload, { schema: 'PAYMENT_VERIFY' });
 
             if (res.status === 200) {
+                paid = true;
                 ordersSucceeded.add(1);
                 successRate.add(1);
                 errorRate.add(0);
@@ -267,16 +287,17 @@ function stressOrder(restaurantId, menuData) {
         paymentResponseTime.add(duration);
         responseTime.add(duration);
         requestsPerSecond.add(1);
+        return paid;
     });
 }
 
 function stressTracking(orderIds) {
-    group('Stress: Tracking', function () {
+    return group('Stress: Tracking', function () {
         const start = Date.now();
 
         if (orderIds && orderIds.length > 0) {
             const orderId = orderIds[Math.floor(Math.random() * orderIds.length)];
-            const res = apiGet(ENDPOINTS.ORDER_GET(orderId));
+            const res = apiGet(ENDPOINTS.ORDER_GET(orderId), { schema: 'ORDER_GET' });
 
             responseTime.add(Date.now() - start);
             requestsPerSecond.add(1);
@@ -288,8 +309,9 @@ function stressTracking(orderIds) {
                 successRate.add(0);
                 errorRate.add(1);
             }
+            return res.status === 200 || res.status === 404;
         } else {
-            const res = apiGet(ENDPOINTS.ORDER_LIST);
+            const res = apiGet(ENDPOINTS.ORDER_LIST, { schema: 'ORDER_LIST' });
             responseTime.add(Date.now() - start);
             requestsPerSecond.add(1);
 
@@ -300,16 +322,17 @@ function stressTracking(orderIds) {
                 successRate.add(0);
                 errorRate.add(1);
             }
+            return res.status === 200;
         }
     });
 }
 
 function stressMixed() {
-    group('Stress: Mixed', function () {
+    return group('Stress: Mixed', function () {
         const start = Date.now();
         const ops = [
-            () => apiGet(ENDPOINTS.RESTAURANT_LIST),
-            () => apiGet(ENDPOINTS.CATEGORY_LIST),
+            () => apiGet(ENDPOINTS.RESTAURANT_LIST, { schema: 'RESTAURANT_LIST' }),
+            () => apiGet(ENDPOINTS.CATEGORY_LIST, { schema: 'CATEGORY_LIST' }),
             () => apiGet(ENDPOINTS.ITEM_LIST),
             () => apiGet(ENDPOINTS.CUSTOMER_LIST),
         ];
@@ -328,6 +351,7 @@ function stressMixed() {
             errorRate.add(1);
             if (res.status === 0) timeouts.add(1);
         }
+        return res.status === 200;
     });
 }
 
@@ -336,8 +360,14 @@ export function setup() {
     console.log(`STRESS TEST - ${isSanityMode ? 'SANITY MODE' : 'FINDING SYSTEM BREAKING POINT'}`);
     console.log('='.repeat(60));
     console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
     console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
     console.log(`Mode: ${isSanityMode ? 'sanity (single user validation)' : 'stress (multi-user)'}`);
+    if (!isSanityMode && CONFIG.COLLAPSE_GUARD) {
+        console.log(`Collapse guard: abort at ${CONFIG.COLLAPSE.ERROR_RATE * 100}% errors or ` +
+            `${CONFIG.COLLAPSE.TIMEOUT_RATE * 100}% timeouts (last ${CONFIG.COLLAPSE.WINDOW} responses per VU)`);
+    }
     console.log('');
     console.log('Load Distribution:');
     console.log('  30% - Menu operations');
@@ -345,37 +375,26 @@ export function setup() {
     console.log('  25% - Order + Payment');
     console.log('  15% - Order tracking');
     console.log('  10% - Mixed operations');
-    console.log('');
-    if (isSanityMode) {
-        console.log('VUs: 1, Iterations: 5');
-        console.log('Duration: ~2 minutes');
-    } else {
-        console.log('Load Pattern: 0 → 100 → 200 → 300 → 500 → 500 → 0 VUs');
-        console.log('Duration: ~15 minutes');
-    }
     console.log('='.repeat(60));
 
     if (!CONFIG.RESTAURANT_ID) {
         throw new Error('RESTAURANT_ID is required!');
     }
 
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
     // Fetch menu data
     const menuData = fetchMenuData(CONFIG.RESTAURANT_ID);
 
     // Fetch existing orders
-    const res = apiGet(ENDPOINTS.ORDER_LIST);
-    let orderIds = [];
-    if (res.status === 200) {
-        try {
-            const data = JSON.parse(res.body);
-            orderIds = (data.data || []).slice(0, 100).map(o => o.id).filter(Boolean);
-        } catch (e) {}
-    }
+    const orderIds = fetchAll(ENDPOINTS.ORDER_LIST, { maxItems: 100, params: { schema: 'ORDER_LIST' } })
+        .map(o => o.id)
+        .filter(Boolean);
 
     console.log(`Loaded ${menuData?.items?.length || 0} menu items`);
     console.log(`Found ${orderIds.length} existing orders`);
 
-    return { startTime: Date.now(), menuData, orderIds };
+    return { startTime: Date.now(), menuData, orderIds, auth };
 }
 
 export function teardown(data) {
@@ -385,6 +404,6 @@ export function teardown(data) {
 
 export function handleSummary(data) {
     return {
-        'stdout': textSummary(data, { indent: ' ', enableColors: true }),
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + breakingPoint(data) + failureCatalog(data),
     };
 }
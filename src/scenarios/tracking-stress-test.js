@@ -19,11 +19,21 @@
  *   ./run-tests.sh tracking-stress --restaurant 324672                # Full stress test
  */
 
-import { sleep, group, check } from 'k6';
+import { sleep, group } from 'k6';
 import { Trend, Rate, Counter } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
-import { CONFIG, ENDPOINTS, THRESHOLDS } from '../config.js';
-import { apiGet, randomSleep } from '../utils/helpers.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiGet, check, randomSleep, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog } from '../utils/summary.js';
+import { fetchTrackableOrderIds } from '../data/test-data.js';
 
 // Custom metrics
 const trackingSuccessRate = new Rate('tracking_success_rate');
@@ -62,18 +72,17 @@ const stressScenario = {
 
 export const options = {
     scenarios: {
-        tracking_stress: isSanityMode ? sanityScenario : stressScenario,
+        tracking_stress: isSanityMode ? sanityScenario : selectScenario(stressScenario),
     },
     thresholds: {
-        ...THRESHOLDS,
-        'tracking_success_rate': ['rate>0.95'],
-        'order_track_duration': ['p(95)<1500'],
-        'delivery_status_duration': ['p(95)<1500'],
-        'rider_location_duration': ['p(95)<1500'],
+        ...endpointThresholds(),
+        ...sloThresholds('tracking_stress'),
+        ...failureThresholds(),
     },
 };
 
 export default function (data) {
+    adoptSession(data?.auth);
     const orderIds = data?.orderIds || sampleOrderIds;
 
     if (orderIds.length === 0) {
@@ -119,7 +128,7 @@ function trackOrder(orderId) {
 function getDeliveryStatus(orderId) {
     group('Delivery Status', function () {
         const start = Date.now();
-        const res = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId));
+        const res = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId), { schema: 'DELIVERY_STATUS' });
         deliveryStatusTime.add(Date.now() - start);
         trackingRequests.add(1);
 
@@ -149,68 +158,16 @@ export function setup() {
     console.log(`TRACKING STRESS TEST - ${isSanityMode ? 'SANITY MODE' : 'STRESS TEST'}`);
     console.log('='.repeat(60));
     console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
     console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'Not set'}`);
     console.log(`Mode: ${isSanityMode ? 'sanity (single user validation)' : 'stress (multi-user)'}`);
-    if (isSanityMode) {
-        console.log('VUs: 1, Iterations: 3');
-        console.log('Duration: ~1 minute');
-    } else {
-        console.log('Load Pattern: 0 → 50 → 100 → 200 → 100 → 0 VUs');
-        console.log('Duration: ~5 minutes');
-    }
     console.log('='.repeat(60));
 
-    // Fetch orders with delivery-trackable statuses
-    console.log('\nFetching trackable orders (DELIVERED, OUT_FOR_PICKUP, OUT_FOR_DELIVERY)...');
-    const trackableStatuses = ['DELIVERED', 'OUT_FOR_PICKUP', 'OUT_FOR_DELIVERY'];
-    let allOrders = [];
-
-    // Fetch orders for each status
-    for (const status of trackableStatuses) {
-        const res = apiGet(ENDPOINTS.ORDER_LIST_BY_STATUS(status));
-        if (res.status === 200) {
-            try {
-                const data = JSON.parse(res.body);
-                const orders = data.data || [];
-                console.log(`  - ${status}: ${orders.length} orders`);
-                allOrders = allOrders.concat(orders);
-            } catch (e) {
-                console.warn(`  - Could not parse ${status} orders`);
-            }
-        }
-    }
-
-    console.log(`\nTotal orders found: ${allOrders.length}`);
-
-    // Filter orders that have fulfilled delivery records
-    console.log('Filtering orders with fulfilled delivery records...');
-    let validOrderIds = [];
-
-    for (const order of allOrders.slice(0, 150)) {  // Check first 150 orders
-        const orderId = order.id || order._id;
-        if (!orderId) continue;
-
-        // Check if order has a delivery record
-        const deliveryRes = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId));
-        if (deliveryRes.status === 200) {
-            try {
-                const deliveryData = JSON.parse(deliveryRes.body);
-                const deliveryStatus = deliveryData.data[0]?.status;
-            
-                // Check if delivery is fulfilled
-                if (deliveryStatus && (deliveryStatus.toLowerCase() === 'fulfilled' || deliveryStatus.toLowerCase() === 'completed')) {
-                    validOrderIds.push(orderId);
-                }
-            } catch (e) {
-                // Skip orders with invalid delivery data
-            }
-        }
-
-        // Limit to 100 valid orders for performance
-        if (validOrderIds.length >= 100) break;
-    }
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
 
-    console.log(`Found ${validOrderIds.length} orders with fulfilled deliveries`);
+    // Fetch orders with delivery-trackable statuses and fulfilled delivery records
+    const validOrderIds = fetchTrackableOrderIds();
 
     if (validOrderIds.length === 0) {
         console.warn('\  WARNING: No valid trackable orders found!');
@@ -220,7 +177,7 @@ export function setup() {
         console.warn('\nTest will skip iterations until valid orders are available.');
     }
 
-    return { startTime: Date.now(), orderIds: validOrderIds };
+    return { startTime: Date.now(), orderIds: validOrderIds, auth };
 }
 
 export function teardown(data) {
@@ -230,6 +187,6 @@ export function teardown(data) {
 
 export function handleSummary(data) {
     return {
-        'stdout': textSummary(data, { indent: ' ', enableColors: true }),
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + failureCatalog(data),
     };
 }
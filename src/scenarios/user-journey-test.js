@@ -2,7 +2,7 @@
  * User Journey Test - Complete User Flow (Frontend Perspective)
  *
  * Simulates complete user journey:
- * 1. Browse Menu (fetch categories, items, addons)
+ * 1. Browse Menu (menu screen: categories with items, addons, variations, offers in parallel)
  * 2. View items / Add to cart
  * 3. Login (OTP flow)
  * 4. Add/Select address
@@ -20,11 +20,20 @@
  *   ./run-tests.sh user-journey --restaurant 324672                # Full load test
  */
 
-import { sleep, group, check } from 'k6';
+import { sleep, group } from 'k6';
 import { Trend, Rate, Counter } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
-import { CONFIG, ENDPOINTS, THRESHOLDS } from '../config.js';
-import { apiGet, apiPost, extractId, randomSleep } from '../utils/helpers.js';
+import {
+    CONFIG,
+    ENDPOINTS,
+    selectScenario,
+    describeLoadPlan,
+    sloThresholds,
+    SLO_SOURCE,
+} from '../config.js';
+import { apiGet, apiPost, apiBatch, extractId, extractPaymentOrderId, check, randomSleep, endpointThresholds, failureThresholds, adoptSession } from '../utils/helpers.js';
+import { setupAuth } from '../utils/order-flow.js';
+import { failureCatalog } from '../utils/summary.js';
 import {
     generateLoginDto,
     generateVerifyOtpDto,
@@ -78,20 +87,17 @@ const loadScenario = {
 
 export const options = {
     scenarios: {
-        user_journey: isSanityMode ? sanityScenario : loadScenario,
+        user_journey: isSanityMode ? sanityScenario : selectScenario(loadScenario),
     },
     thresholds: {
-        ...THRESHOLDS,
-        'journey_success_rate': ['rate>0.85'],
-        'menu_browse_duration': ['p(95)<3000'],
-        'login_duration': ['p(95)<3000'],
-        'order_duration': ['p(95)<4000'],
-        'payment_duration': ['p(95)<3000'],
-        'total_journey_duration': ['p(95)<20000'],
+        ...endpointThresholds(),
+        ...sloThresholds('user_journey'),
+        ...failureThresholds(),
     },
 };
 
 export default function (data) {
+    adoptSession(data?.auth);
     const restaurantId = CONFIG.RESTAURANT_ID;
     const menuData = data?.menuData;
     const restaurantLocation = data?.restaurantLocation;
@@ -108,22 +114,21 @@ export default function (data) {
     group('1. Browse Menu', function () {
         const start = Date.now();
 
-        // Fetch menu categories with items
-        let res = apiGet(ENDPOINTS.MENU_CATEGORY(restaurantId));
-        check(res, { 'Menu loaded': (r) => r.status === 200 });
-
-        sleep(randomSleep(500, 1000)); // User reading menu
-
-        // Fetch addons
-        res = apiGet(ENDPOINTS.ADDON_GROUP_LIST);
-        check(res, { 'Addons loaded': (r) => r.status === 200 });
-
-        sleep(randomSleep(300, 600)); // User browsing
-
-        // Fetch variations
-        res = apiGet(ENDPOINTS.VARIATION_LIST);
+        // Menu screen: categories with items, addons, variations and offers load in parallel
+        const [menuRes, addonRes, variationRes, offerRes] = apiBatch('menu', [
+            { endpoint: ENDPOINTS.MENU_CATEGORY(restaurantId), params: { schema: 'MENU_CATEGORY' } },
+            { endpoint: ENDPOINTS.ADDON_GROUP_LIST },
+            { endpoint: ENDPOINTS.VARIATION_LIST },
+            { endpoint: ENDPOINTS.OFFER_LIST },
+        ]);
+        check(menuRes, { 'Menu loaded': (r) => r.status === 200 });
+        check(addonRes, { 'Addons loaded': (r) => r.status === 200 });
+        check(variationRes, { 'Variations loaded': (r) => r.status === 200 });
+        check(offerRes, { 'Offers loaded': (r) => r.status === 200 });
 
         menuBrowseTime.add(Date.now() - start);
+
+        sleep(randomSleep(800, 1600)); // User reading menu
     });
 
     sleep(randomSleep(1000, 2000)); // User selecting items
@@ -148,7 +153,7 @@ export default function (data) {
 
         // Verify OTP
         const verifyDto = generateVerifyOtpDto(user.mobile, restaurantId, CONFIG.LOAD_TEST_OTP);
-        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto);
+        res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
 
         const success = check(res, {
             'Login successful': (r) => r.status === 200,
@@ -181,7 +186,7 @@ export default function (data) {
         const start = Date.now();
 
         // Fetch customer addresses (200 = has addresses, 404 = no addresses - both are valid)
-        let res = apiGet(`${ENDPOINTS.ADDRESS_LIST}?customerId_eq=${customerId}`);
+        let res = apiGet(`${ENDPOINTS.ADDRESS_LIST}?customerId_eq=${customerId}`, { schema: 'ADDRESS_LIST' });
         check(res, { 'Address API responded': (r) => r.status === 200 || r.status === 404 });
 
         // Parse addresses and get first available address (if any exist)
@@ -203,7 +208,7 @@ export default function (data) {
         if (!addressId) {
             console.log(`No address found for customer ${customerId}, creating one...`);
             const addressPayload = generateAddressDto(customerId, restaurantLocation);
-            res = apiPost(ENDPOINTS.ADDRESS_CREATE, addressPayload);
+            res = apiPost(ENDPOINTS.ADDRESS_CREATE, addressPayload, { schema: 'ADDRESS_CREATE' });
 
             if (res.status === 200) {
                 try {
@@ -252,7 +257,7 @@ export default function (data) {
             orderPayload = generateOrderDto(restaurantId, customerId, orderOptions);
         }
 
-        const res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload);
+        const res = apiPost(ENDPOINTS.ORDER_CREATE, orderPayload, { schema: 'ORDER_CREATE' });
 
         const success = check(res, {
             'Order created': (r) => r.status === 200,
@@ -283,17 +288,10 @@ export default function (data) {
     // ========================================
     group('5. Payment', function () {
         const start = Date.now();
-        let paymentOrderId = null;
 
         // Create payment order
-        let res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {});
-
-        if (res.status === 200) {
-            try {
-                const body = JSON.parse(res.body);
-                paymentOrderId = body.data?.[0]?.paymentOrderId;
-            } catch (e) {}
-        }
+        let res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {}, { schema: 'PAYMENT_CREATE' });
+        const paymentOrderId = res.status === 200 ? extractPaymentOrderId(res) : null;
 
         if (!paymentOrderId) {
             console.warn(`Payment create failed for order ${orderId}`);
@@ -306,7 +304,7 @@ export default function (data) {
         // Verify payment
         const verifyPayload = generatePaymentVerifyDto();
         verifyPayload.razorpayOrderId = paymentOrderId;
-        res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload);
+        res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload, { schema: 'PAYMENT_VERIFY' });
 
         const success = check(res, {
             'Payment verified': (r) => r.status === 200,
@@ -336,24 +334,21 @@ export function setup() {
     console.log(`USER JOURNEY TEST - ${isSanityMode ? 'SANITY MODE' : 'LOAD TEST'}`);
     console.log('='.repeat(60));
     console.log(`Target: ${CONFIG.BASE_URL}`);
+    console.log(`Profile: ${CONFIG.PROFILE} (SLO: ${SLO_SOURCE})`);
+    console.log(describeLoadPlan(options.scenarios));
     console.log(`Restaurant: ${CONFIG.RESTAURANT_ID || 'NOT SET!'}`);
     console.log(`Mode: ${isSanityMode ? 'sanity (single user validation)' : 'load (multi-user)'}`);
     console.log(`User Pool: ${userPool.length} users`);
     console.log('');
     console.log('Flow: Menu → Login → Address → Quote → Order → Payment');
-    if (isSanityMode) {
-        console.log('VUs: 1 (single iteration)');
-        console.log('Duration: ~2 minutes');
-    } else {
-        console.log('Load Pattern: 0 → 15 → 30 → 50 → 30 → 15 → 0 VUs');
-        console.log('Duration: ~10 minutes');
-    }
     console.log('='.repeat(60));
 
     if (!CONFIG.RESTAURANT_ID) {
         throw new Error('RESTAURANT_ID is required! Use --env RESTAURANT_ID=xxx');
     }
 
+    const auth = setupAuth(CONFIG.RESTAURANT_ID);
+
     // Fetch restaurant location for address creation
     console.log('\nFetching restaurant location...');
     const restaurantData = fetchRestaurantLocation(CONFIG.RESTAURANT_ID);
@@ -375,7 +370,7 @@ export function setup() {
         console.warn('Using static menu data');
     }
 
-    return { startTime: Date.now(), menuData, restaurantLocation };
+    return { startTime: Date.now(), menuData, restaurantLocation, auth };
 }
 
 export function teardown(data) {
@@ -385,6 +380,6 @@ export function teardown(data) {
 
 export function handleSummary(data) {
     return {
-        'stdout': textSummary(data, { indent: ' ', enableColors: true }),
+        'stdout': textSummary(data, { indent: ' ', enableColors: true }) + failureCatalog(data),
     };
 }
@@ -0,0 +1,106 @@
+/**
+ * K6 Collapse Guard
+ * HYP Backend API - Stop stress / breakpoint runs once the backend has fallen over
+ *
+ * Two layers:
+ * - Live: every VU watches its last CONFIG.COLLAPSE.WINDOW responses. When the
+ *   share of errors (status 0 / 5xx) or timeouts (status 0) crosses the limit,
+ *   the VU records the breaking point and aborts the whole run.
+ * - Thresholds: guard_error_rate / guard_timeout_rate with abortOnFail, as a
+ *   run-wide safety net (see collapseThresholds).
+ *
+ * Usage (in a scenario file):
+ *   enableCollapseGuard();                      // init code
+ *   thresholds: { ...collapseThresholds() }
+ *   handleSummary: ... + breakingPoint(data)    // from summary.js
+ */
+
+import exec from 'k6/execution';
+import { Rate, Gauge } from 'k6/metrics';
+import { CONFIG } from '../config.js';
+
+const guardErrorRate = new Rate('guard_error_rate');
+const guardTimeoutRate = new Rate('guard_timeout_rate');
+
+// Breaking point seen by the live guard, read back by breakingPoint() in summary.js
+const collapseVus = new Gauge('collapse_vus');
+const collapseElapsed = new Gauge('collapse_elapsed', true);
+const collapseErrorShare = new Gauge('collapse_error_share');
+const collapseTimeoutShare = new Gauge('collapse_timeout_share');
+
+// Module state is per VU
+let enabled = false;
+let collapsed = false;
+const recent = [];
+
+/**
+ * Turn the guard on for this test (call from init code)
+ * Disabled with COLLAPSE_GUARD=false
+ */
+export function enableCollapseGuard() {
+    enabled = CONFIG.COLLAPSE_GUARD;
+}
+
+/**
+ * abortOnFail thresholds on the guard metrics
+ * Empty when the guard is disabled, so tests can always spread it
+ */
+export function collapseThresholds() {
+    if (!CONFIG.COLLAPSE_GUARD) {
+        return {};
+    }
+    return {
+        guard_error_rate: [{
+            threshold: `rate<${CONFIG.COLLAPSE.ERROR_RATE}`,
+            abortOnFail: true,
+            delayAbortEval: CONFIG.COLLAPSE.ABORT_DELAY,
+        }],
+        guard_timeout_rate: [{
+            threshold: `rate<${CONFIG.COLLAPSE.TIMEOUT_RATE}`,
+            abortOnFail: true,
+            delayAbortEval: CONFIG.COLLAPSE.ABORT_DELAY,
+        }],
+    };
+}
+
+/**
+ * Feed a response to the guard (called by the request helpers for every attempt)
+ * Aborts the run when the live window shows a collapse
+ */
+export function observeResponse(res) {
+    if (!enabled || collapsed) {
+        return;
+    }
+
+    const timedOut = res.status === 0;
+    const failed = timedOut || res.status >= 500;
+    guardErrorRate.add(failed ? 1 : 0);
+    guardTimeoutRate.add(timedOut ? 1 : 0);
+
+    recent.push({ failed, timedOut });
+    if (recent.length > CONFIG.COLLAPSE.WINDOW) {
+        recent.shift();
+    }
+    if (recent.length < CONFIG.COLLAPSE.MIN_SAMPLES) {
+        return;
+    }
+
+    const errorShare = recent.filter((r) => r.failed).length / recent.length;
+    const timeoutShare = recent.filter((r) => r.timedOut).length / recent.length;
+
+    if (errorShare >= CONFIG.COLLAPSE.ERROR_RATE || timeoutShare >= CONFIG.COLLAPSE.TIMEOUT_RATE) {
+        collapsed = true;
+
+        const vus = exec.instance.vusActive;
+        const elapsedMs = exec.instance.currentTestRunDuration;
+        const reason = `${Math.round(errorShare * 100)}% errors, ${Math.round(timeoutShare * 100)}% timeouts ` +
+            `over last ${recent.length} responses`;
+
+        collapseVus.add(vus);
+        collapseElapsed.add(elapsedMs);
+        collapseErrorShare.add(errorShare);
+        collapseTimeoutShare.add(timeoutShare);
+        console.error(`Collapse detected at ${vus} VUs: ${reason} - aborting run`);
+        exec.test.abort(`Backend collapse at ${vus} VUs: ${reason}`);
+    }
+}
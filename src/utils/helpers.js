@@ -1,26 +1,163 @@
 /**
  * K6 Test Helpers
- * HYP Backend API - v2 (No Authentication Required)
+ * HYP Backend API - v2 (No auth on main branch, optional JWT via AUTH_MODE=jwt)
  */
 
 import http from 'k6/http';
-import { check } from 'k6';
-import { CONFIG } from '../config.js';
+import { check as k6Check, sleep } from 'k6';
+import { Counter, Trend } from 'k6/metrics';
+import { CONFIG, ENDPOINTS, ENDPOINT_METHODS, ENDPOINT_SLOS, RETRY_POLICIES } from '../config.js';
+import { recordFailure, FAILURE_STATUSES, submetricThresholds, tagSelectors } from './summary.js';
+import { SCHEMAS, validateSchema, validateResponse } from './schemas.js';
+import { observeResponse } from './collapse-guard.js';
+
+// Token renewals after a 401 (tagged by how the token was renewed)
+const authRenewals = new Counter('auth_renewals');
+
+// Retries per endpoint (tagged by name + status) and requests that still failed after all retries
+const httpRetries = new Counter('http_retries');
+const httpRetriesExhausted = new Counter('http_retries_exhausted');
+
+// Wall-clock time to load a whole app screen with apiBatch (tagged by screen)
+const screenLoadTime = new Trend('screen_load_duration', true);
+
+// ============================================
+// SESSION (per VU)
+// ============================================
+
+// k6 gives every VU its own copy of module state, so this is a per-VU session
+const session = {
+    token: null,
+    refreshToken: null,
+    loginDto: null,
+    verifyDto: null,
+};
+
+function isAuthEnabled() {
+    return CONFIG.AUTH_MODE === 'jwt';
+}
+
+/**
+ * Extract access/refresh tokens from a /login/verify-otp (or refresh) response
+ * Checks the response body first, then the Authorization response header
+ */
+function extractTokens(res) {
+    let token = null;
+    let refreshToken = null;
+
+    try {
+        const body = JSON.parse(res.body);
+        const data = Array.isArray(body.data) ? body.data[0] : body.data;
+        token = data?.token || data?.accessToken || data?.jwt || body.token || null;
+        refreshToken = data?.refreshToken || body.refreshToken || null;
+    } catch {
+        // Non-JSON body - fall through to header
+    }
+
+    if (!token) {
+        const header = res.headers && res.headers['Authorization'];
+        if (header) {
+            token = header.replace(/^Bearer\s+/i, '');
+        }
+    }
+
+    return { token, refreshToken };
+}
+
+/**
+ * Store the token from a login response in the current VU's session
+ * Returns true when a token was found
+ */
+export function captureSession(res) {
+    if (res.status !== 200) {
+        return false;
+    }
+
+    const { token, refreshToken } = extractTokens(res);
+    if (!token) {
+        return false;
+    }
+
+    session.token = token;
+    session.refreshToken = refreshToken || session.refreshToken;
+    return true;
+}
+
+/**
+ * Current VU's session token (null when not logged in or AUTH_MODE=none)
+ */
+export function getSessionToken() {
+    return session.token;
+}
+
+/**
+ * Copy of the current session to hand from setup() to the VUs through setup data
+ * @returns {object|null} null when AUTH_MODE=none or not logged in
+ */
+export function exportSession() {
+    return isAuthEnabled() && session.token ? { ...session } : null;
+}
+
+/**
+ * Use a session exported by setup() until this VU logs in itself
+ * Tests that never log in per VU rely on it for every request under AUTH_MODE=jwt.
+ * The recorded login payloads come along, so a 401 can still renew the token.
+ */
+export function adoptSession(shared) {
+    if (!isAuthEnabled() || !shared || session.token) {
+        return;
+    }
+    Object.assign(session, shared);
+}
+
+/**
+ * Forget the current VU's session (e.g. before switching users)
+ */
+export function clearSession() {
+    session.token = null;
+    session.refreshToken = null;
+    session.loginDto = null;
+    session.verifyDto = null;
+}
+
+// ============================================
+// CORRELATION IDS
+// ============================================
+
+/**
+ * Generate a request id (UUID v4 format) for the X-Request-Id header
+ */
+export function generateRequestId() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const r = Math.floor(Math.random() * 16);
+        return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+}
 
 /**
- * Get standard headers (no auth needed for main branch)
+ * Get standard headers (Authorization is added only when AUTH_MODE=jwt and logged in)
+ * Every call gets a fresh X-Request-Id so the backend logs can be correlated
  */
 export function getHeaders() {
     const headers = {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
+        'X-Request-Id': generateRequestId(),
     };
 
+    if (CONFIG.RUN_ID) {
+        headers['X-Load-Test-Run'] = CONFIG.RUN_ID;
+    }
+
     // Add restaurant ID if set (for scoped queries)
     if (CONFIG.RESTAURANT_ID) {
         headers['X-Restaurant-Id'] = CONFIG.RESTAURANT_ID;
     }
 
+    if (isAuthEnabled() && session.token) {
+        headers['Authorization'] = `Bearer ${session.token}`;
+    }
+
     return headers;
 }
 // Normalize dynamic IDs from URL
@@ -37,82 +174,436 @@ function getEndpointName(method, endpoint) {
     return `${method.toLowerCase()}_${normalized}`;
 }
 
+// Tag name of an ENDPOINTS key (dynamic endpoints are called with a numeric sample id, which normalizes to :id)
+function getEndpointKeyName(key) {
+    const entry = ENDPOINTS[key];
+    const path = typeof entry === 'function' ? entry('1') : entry;
+    return getEndpointName(ENDPOINT_METHODS[key] || 'GET', path);
+}
+
 /**
- * Make GET request
+ * Per-endpoint latency thresholds generated from ENDPOINTS and ENDPOINT_SLOS
+ * Yields e.g. { 'http_req_duration{name:get_/menu/category}': ['p(95)<1000', 'p(99)<3000'] },
+ * so every endpoint the helpers call gets SLO coverage without extra Trends.
+ *
+ * @param {Array<string>} keys - ENDPOINTS keys to cover (default: all)
  */
-export function apiGet(endpoint, params = {}) {
+export function endpointThresholds(keys = Object.keys(ENDPOINTS)) {
+    const thresholds = {};
+
+    for (const key of keys) {
+        const metric = `http_req_duration{name:${getEndpointKeyName(key)}}`;
+
+        // Several keys can share a name (ORDER_LIST / ORDER_LIST_BY_STATUS) - first one wins
+        if (thresholds[metric]) {
+            continue;
+        }
+
+        const slo = { ...ENDPOINT_SLOS.DEFAULT, ...(ENDPOINT_SLOS[key] || {}) };
+        thresholds[metric] = [`p(95)<${slo.p95}`, `p(99)<${slo.p99}`];
+    }
+
+    return thresholds;
+}
+
+/**
+ * Always-passing thresholds on failed_checks per endpoint and per status, so the
+ * failure catalog can break the failed checks down (see failureCatalog)
+ */
+export function failureThresholds() {
+    const names = [...new Set(Object.keys(ENDPOINTS).map(getEndpointKeyName))];
+    return submetricThresholds({ failed_checks: 'count' },
+        [...tagSelectors('name', names), ...tagSelectors('status', FAILURE_STATUSES)]);
+}
+
+// Send a single request with the current session headers
+function send(method, endpoint, body, params = {}) {
     const url = `${CONFIG.BASE_URL}${endpoint}`;
-    const name = getEndpointName('GET', endpoint);
+    const payload = body === null || body === undefined ? null : JSON.stringify(body);
 
-    const options = {
+    const res = http.request(method, url, payload, {
         headers: getHeaders(),
         timeout: CONFIG.REQUEST_TIMEOUT,
         tags: {
-            name: name,
+            name: getEndpointName(method, endpoint),
             ...(params.tags || {}),
         },
-    };
+    });
+
+    observeResponse(res);
+    return res;
+}
 
+/**
+ * Renew the session token after a 401
+ * Tries the refresh token first, then replays the recorded OTP login
+ */
+function renewSession() {
+    if (session.refreshToken) {
+        const res = send('POST', ENDPOINTS.LOGIN_REFRESH, { refreshToken: session.refreshToken });
+        if (captureSession(res)) {
+            authRenewals.add(1, { method: 'refresh' });
+            return true;
+        }
+    }
+
+    if (!session.verifyDto) {
+        return false;
+    }
+
+    session.token = null;
+    if (session.loginDto) {
+        send('POST', ENDPOINTS.LOGIN_OTP, session.loginDto);
+    }
+
+    const res = send('POST', ENDPOINTS.LOGIN_VERIFY, session.verifyDto);
+    if (captureSession(res)) {
+        authRenewals.add(1, { method: 'relogin' });
+        return true;
+    }
+
+    console.warn(`Session renewal failed for ${session.verifyDto.mobile}: ${res.status}`);
+    return false;
+}
+
+// ============================================
+// RETRY POLICY
+// ============================================
+
+// Resolve the retry policy for a call: params.retry (name or object) or the method default
+function getRetryPolicy(method, params) {
+    if (!CONFIG.RETRY_ENABLED) {
+        return RETRY_POLICIES.none;
+    }
+    if (typeof params.retry === 'string') {
+        return RETRY_POLICIES[params.retry] || RETRY_POLICIES.none;
+    }
+    if (params.retry) {
+        return { ...RETRY_POLICIES.none, ...params.retry };
+    }
+    return method === 'GET' || method === 'DELETE'
+        ? RETRY_POLICIES.idempotent
+        : RETRY_POLICIES.nonIdempotent;
+}
+
+// Retry-After header in milliseconds (seconds or HTTP date), null if absent
+function getRetryAfterMs(res) {
+    const header = res.headers && res.headers['Retry-After'];
+    if (!header) {
+        return null;
+    }
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+        return seconds * 1000;
+    }
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with equal jitter; Retry-After wins when the server sends a longer wait.
+// Returns null when Retry-After exceeds policy.maxRetryAfterMs (give up instead of retrying early)
+function getBackoffMs(policy, attempt, res) {
+    const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt));
+    const jittered = exponential / 2 + Math.random() * (exponential / 2);
+    const retryAfter = getRetryAfterMs(res);
+
+    if (retryAfter !== null) {
+        return retryAfter > policy.maxRetryAfterMs ? null : Math.max(retryAfter, jittered);
+    }
+    return jittered;
+}
+
+// Shared request path for apiGet/apiPost/apiPatch/apiDelete
+function request(method, endpoint, body, params = {}) {
+    const policy = getRetryPolicy(method, params);
+    const name = getEndpointName(method, endpoint);
+    let res = sendAuthenticated(method, endpoint, body, params);
+
+    for (let attempt = 0; policy.retryOn.includes(res.status); attempt++) {
+        const backoffMs = attempt < policy.maxRetries ? getBackoffMs(policy, attempt, res) : null;
+        if (backoffMs === null) {
+            if (policy.maxRetries > 0) {
+                httpRetriesExhausted.add(1, { name, status: String(res.status) });
+            }
+            break;
+        }
+
+        httpRetries.add(1, { name, status: String(res.status) });
+        sleep(backoffMs / 1000);
+        res = sendAuthenticated(method, endpoint, body, params);
+    }
+
+    // Validate the response shape when the caller names a schema (see schemas.js)
+    if (params.schema && res.status >= 200 && res.status < 300) {
+        validateResponse(res, params.schema);
+    }
+
+    return res;
+}
+
+// Single attempt, including session capture and one token renewal on 401
+function sendAuthenticated(method, endpoint, body, params) {
+    let res = send(method, endpoint, body, params);
+
+    if (!isAuthEnabled()) {
+        return res;
+    }
+
+    // Remember login payloads so the session can be re-acquired on 401
+    if (endpoint === ENDPOINTS.LOGIN_OTP) {
+        session.loginDto = body;
+    } else if (endpoint === ENDPOINTS.LOGIN_VERIFY) {
+        session.verifyDto = body;
+        captureSession(res);
+        return res;
+    }
+
+    // Retry once with a renewed token
+    if (res.status === 401 && (session.token || session.verifyDto) && renewSession()) {
+        res = send(method, endpoint, body, params);
+    }
+
+    return res;
+}
+
+// Append a query string to an endpoint that may already have one
+function appendQuery(endpoint, queryString) {
+    if (!queryString) {
+        return endpoint;
+    }
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}${queryString}`;
+}
+
+/**
+ * Make GET request
+ */
+export function apiGet(endpoint, params = {}) {
     if (params.query) {
         const queryString = Object.entries(params.query)
             .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
             .join('&');
-        return http.get(`${url}?${queryString}`, options);
+        return request('GET', appendQuery(endpoint, queryString), null, params);
     }
 
-    return http.get(url, options);
+    return request('GET', endpoint, null, params);
 }
 
+// ============================================
+// PARALLEL BATCHES
+// ============================================
+
 /**
- * Make POST request
+ * Fire several requests at once (duplicate webhooks, double taps)
+ * Requests keep the same name tags and schema validation as apiGet/apiPost;
+ * no screen metric is recorded. Batched requests are not retried.
+ *
+ * @param {Array} requests - [{ method = 'GET', endpoint, body, params }]
+ * @returns {Array} Responses in request order
  */
-export function apiPost(endpoint, body, params = {}) {
-    const url = `${CONFIG.BASE_URL}${endpoint}`;
-    const name = getEndpointName('POST', endpoint);
+export function apiParallel(requests) {
+    const batch = requests.map((r) => {
+        const method = r.method || 'GET';
+        const params = r.params || {};
 
-    return http.post(url, JSON.stringify(body), {
-        headers: getHeaders(),
-        timeout: CONFIG.REQUEST_TIMEOUT,
-        tags: {
-            name: name,
-            ...(params.tags || {}),
-        },
+        return {
+            method: method,
+            url: `${CONFIG.BASE_URL}${r.endpoint}`,
+            body: r.body === null || r.body === undefined ? null : JSON.stringify(r.body),
+            params: {
+                headers: getHeaders(),
+                timeout: CONFIG.REQUEST_TIMEOUT,
+                tags: {
+                    name: getEndpointName(method, r.endpoint),
+                    ...(params.tags || {}),
+                },
+            },
+        };
     });
+
+    const responses = http.batch(batch);
+
+    responses.forEach((res, i) => {
+        observeResponse(res);
+
+        const schema = requests[i].params && requests[i].params.schema;
+        if (schema && res.status >= 200 && res.status < 300) {
+            validateResponse(res, schema);
+        }
+    });
+
+    return responses;
+}
+
+/**
+ * Fire several requests in parallel, the way the app loads a screen
+ * Same as apiParallel, with every request also tagged with the screen.
+ * The wall-clock time of the whole batch goes to screen_load_duration{screen}.
+ * A failed call is part of a slow/broken screen load, so nothing is retried.
+ *
+ *   const [menu, addons] = apiBatch('menu', [
+ *       { endpoint: ENDPOINTS.MENU_CATEGORY(restaurantId), params: { schema: 'MENU_CATEGORY' } },
+ *       { endpoint: ENDPOINTS.ADDON_GROUP_LIST },
+ *   ]);
+ *
+ * @param {string} screen - Screen name used as tag (e.g. 'menu')
+ * @param {Array} requests - [{ method = 'GET', endpoint, body, params }]
+ * @returns {Array} Responses in request order
+ */
+export function apiBatch(screen, requests) {
+    const tagged = requests.map((r) => {
+        const params = r.params || {};
+        return { ...r, params: { ...params, tags: { screen: screen, ...(params.tags || {}) } } };
+    });
+
+    const start = Date.now();
+    const responses = apiParallel(tagged);
+    screenLoadTime.add(Date.now() - start, { screen });
+
+    return responses;
+}
+
+// ============================================
+// FILTERS & PAGINATION
+// ============================================
+
+// Filter operators supported by the backend's list endpoints (field_<op>=value)
+const FILTER_OPERATORS = ['eq', 'in', 'gt', 'lt'];
+
+/**
+ * Build a backend filter query string
+ *
+ *   buildFilterQuery({ status: 'DELIVERED' })                  → status_eq=DELIVERED
+ *   buildFilterQuery({ status: { in: ['PAID', 'ACCEPTED'] } }) → status_in=PAID,ACCEPTED
+ *   buildFilterQuery({ createdAt: { gt: a, lt: b } })          → createdAt_gt=a&createdAt_lt=b
+ */
+export function buildFilterQuery(filters = {}) {
+    const parts = [];
+
+    for (const [field, condition] of Object.entries(filters)) {
+        if (condition === undefined || condition === null) {
+            continue;
+        }
+
+        const ops = typeof condition === 'object' && !Array.isArray(condition)
+            ? condition
+            : { eq: condition };
+
+        for (const [op, value] of Object.entries(ops)) {
+            if (!FILTER_OPERATORS.includes(op)) {
+                throw new Error(`Unsupported filter operator '${op}' for ${field}`);
+            }
+            const encoded = Array.isArray(value)
+                ? value.map((v) => encodeURIComponent(v)).join(',')
+                : encodeURIComponent(value);
+            parts.push(`${encodeURIComponent(field)}_${op}=${encoded}`);
+        }
+    }
+
+    return parts.join('&');
+}
+
+/**
+ * Walk a list endpoint page by page (offset/limit), yielding one item at a time
+ * Pages are fetched lazily: breaking out of the loop stops further requests
+ *
+ *   for (const order of paginate(ENDPOINTS.ORDER_LIST, { filters: { status: 'DELIVERED' } })) { ... }
+ *
+ * @param {string} endpoint - List endpoint (orders, customers, addresses, deliveries)
+ * @param {object} options - { filters, pageSize, maxItems, params } (params are passed to apiGet)
+ */
+export function* paginate(endpoint, options = {}) {
+    const pageSize = options.pageSize || CONFIG.PAGE_SIZE;
+    const maxItems = options.maxItems || CONFIG.MAX_PAGED_ITEMS;
+    const filterQuery = buildFilterQuery(options.filters);
+    let offset = 0;
+    let yielded = 0;
+
+    while (yielded < maxItems) {
+        const limit = Math.min(pageSize, maxItems - yielded);
+        const pageQuery = [filterQuery, `offset=${offset}`, `limit=${limit}`].filter(Boolean).join('&');
+        const res = apiGet(appendQuery(endpoint, pageQuery), options.params);
+
+        // 404 = no (more) results on this backend
+        if (res.status !== 200) {
+            return;
+        }
+
+        const page = extractData(res);
+        if (!Array.isArray(page) || page.length === 0) {
+            return;
+        }
+
+        for (const item of page) {
+            yield item;
+            yielded++;
+            if (yielded >= maxItems) {
+                return;
+            }
+        }
+
+        if (page.length < limit) {
+            return;
+        }
+        offset += page.length;
+    }
+}
+
+/**
+ * Collect all items from a paginated list endpoint (up to options.maxItems)
+ */
+export function fetchAll(endpoint, options = {}) {
+    return Array.from(paginate(endpoint, options));
+}
+
+/**
+ * Make POST request
+ */
+export function apiPost(endpoint, body, params = {}) {
+    return request('POST', endpoint, body, params);
 }
 
 /**
  * Make PATCH request
  */
 export function apiPatch(endpoint, body, params = {}) {
-    const url = `${CONFIG.BASE_URL}${endpoint}`;
-    const name = getEndpointName('PATCH', endpoint);
-
-    return http.patch(url, JSON.stringify(body), {
-        headers: getHeaders(),
-        timeout: CONFIG.REQUEST_TIMEOUT,
-        tags: {
-            name: name,
-            ...(params.tags || {}),
-        },
-    });
+    return request('PATCH', endpoint, body, params);
 }
 
 /**
  * Make DELETE request
  */
 export function apiDelete(endpoint, params = {}) {
-    const url = `${CONFIG.BASE_URL}${endpoint}`;
-    const name = getEndpointName('DELETE', endpoint);
+    return request('DELETE', endpoint, null, params);
+}
+// Read a request header from a k6 response (k6 stores request header values as arrays)
+function getRequestHeader(res, name) {
+    const value = res.request && res.request.headers && res.request.headers[name];
+    return Array.isArray(value) ? value[0] : value;
+}
 
-    return http.del(url, null, {
-        headers: getHeaders(),
-        timeout: CONFIG.REQUEST_TIMEOUT,
-        tags: {
-            name: name,
-            ...(params.tags || {}),
-        },
-    });
+/**
+ * Drop-in replacement for k6's check()
+ * When the subject is an HTTP response and a check fails, its request id, endpoint,
+ * status and truncated body are added to the failure catalog (see summary.js)
+ */
+export function check(res, sets, tags) {
+    const passed = k6Check(res, sets, tags);
+
+    if (!passed && res && res.request) {
+        const path = res.request.url.replace(CONFIG.BASE_URL, '');
+        recordFailure(
+            getRequestHeader(res, 'X-Request-Id'),
+            getEndpointName(res.request.method, path),
+            res.status,
+            res.body
+        );
+    }
+
+    return passed;
 }
+
 /**
  * Standard response check
  */
@@ -125,8 +616,13 @@ export function checkResponse(res, name, expectedStatus = 200) {
 
 /**
  * Check for successful JSON response with data
+ * Pass an ENDPOINTS key as schemaKey to also check the response shape (see schemas.js)
  */
-export function checkJsonResponse(res, name) {
+export function checkJsonResponse(res, name, schemaKey = null) {
+    const schemaCheck = schemaKey
+        ? { [`${name} matches schema`]: (r) => validateResponse(r, schemaKey).valid }
+        : {};
+
     return check(res, {
         [`${name} status is 200`]: (r) => r.status === 200,
         [`${name} is valid JSON`]: (r) => {
@@ -153,6 +649,7 @@ export function checkJsonResponse(res, name) {
                 return true;
             }
         },
+        ...schemaCheck,
     });
 }
 
@@ -186,6 +683,23 @@ export function extractId(res) {
     }
 }
 
+/**
+ * Extract the Razorpay order id (paymentOrderId) from a PAYMENT_CREATE response
+ * Only a body matching the PAYMENT_CREATE schema yields an id; the call itself
+ * passes { schema: 'PAYMENT_CREATE' } so a drifted shape is counted in schema_violations
+ */
+export function extractPaymentOrderId(res) {
+    try {
+        const body = JSON.parse(res.body);
+        if (validateSchema(body, SCHEMAS.PAYMENT_CREATE).length > 0) {
+            return null;
+        }
+        return body.data[0]?.paymentOrderId || null;
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Generate random string
  */
@@ -232,3 +746,30 @@ export function randomSleep(minMs, maxMs) {
 export function randomPick(arr) {
     return arr[Math.floor(Math.random() * arr.length)];
 }
+
+/**
+ * Copy of an array in random order (Fisher-Yates)
+ */
+export function shuffle(arr) {
+    const copy = [...arr];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Pick a name from a weighted mix (see parseMix in config.js)
+ * @param {Array<{ name: string, weight: number }>} mix - Weights summing to 1
+ */
+export function weightedPick(mix) {
+    let roll = Math.random();
+    for (const entry of mix) {
+        if (roll < entry.weight) {
+            return entry.name;
+        }
+        roll -= entry.weight;
+    }
+    return mix[mix.length - 1].name;
+}
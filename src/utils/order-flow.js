@@ -0,0 +1,353 @@
+/**
+ * K6 Order Flow Steps
+ * HYP Backend API - Building blocks for tests that drive orders to a given stage
+ *
+ * Each step sends its requests, runs its checks and returns what the next
+ * step needs (null / false when the step failed). Timing and success metrics
+ * stay in the scenario files.
+ *
+ * Usage:
+ *   const customerId = loginCustomer(user, restaurantId);
+ *   const orderId = customerId && createOrder(restaurantId, customerId, menuData, { paymentType: 'CREDIT' });
+ *   const paid = orderId && payOrder(orderId);
+ */
+
+import { sleep } from 'k6';
+import { CONFIG, ENDPOINTS } from '../config.js';
+import { apiGet, apiPost, extractId, extractPaymentOrderId, check, randomSleep, exportSession } from './helpers.js';
+import {
+    ORDER_LIFECYCLE,
+    DELIVERY_STATUS_OFFSETS,
+    SETUP_USER,
+    generateLoginDto,
+    generateVerifyOtpDto,
+    generatePaymentVerifyDto,
+    generateOrderStatusUpdate,
+    generateDeliveryCallback,
+    generateDynamicOrderDto,
+    generateOrderDto,
+} from '../data/test-data.js';
+
+// Order statuses in lifecycle order (CANCELLED last: terminal)
+const STATUS_ORDER = Object.values(ORDER_LIFECYCLE);
+
+// Payment record statuses that mean the money was taken (Razorpay 'captured' or the backend's own)
+const CAPTURED_PAYMENT_STATUSES = ['CAPTURED', 'PAID', 'SUCCESS'];
+
+// First item of a v2 envelope (data is usually an array)
+function firstData(res) {
+    try {
+        const body = JSON.parse(res.body);
+        return Array.isArray(body.data) ? body.data[0] || null : body.data || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Login with OTP (request + verify)
+ * @returns {string|null} Customer ID
+ */
+export function loginCustomer(user, restaurantId) {
+    let res = apiPost(ENDPOINTS.LOGIN_OTP, generateLoginDto(user.name, user.mobile));
+    if (res.status !== 200) {
+        return null;
+    }
+
+    const verifyDto = generateVerifyOtpDto(user.mobile, restaurantId, CONFIG.LOAD_TEST_OTP);
+    res = apiPost(ENDPOINTS.LOGIN_VERIFY, verifyDto, { schema: 'LOGIN_VERIFY' });
+
+    const success = check(res, { 'Login successful': (r) => r.status === 200 });
+    return success ? extractId(res) : null;
+}
+
+/**
+ * Log in SETUP_USER once from setup() when AUTH_MODE=jwt
+ * Call it before the first setup fetch, return the result as data.auth and
+ * pass that to adoptSession() at the start of the default function.
+ * @returns {object|null} Session for adoptSession, null when AUTH_MODE=none
+ */
+export function setupAuth(restaurantId) {
+    if (CONFIG.AUTH_MODE !== 'jwt') {
+        return null;
+    }
+
+    const auth = loginCustomer(SETUP_USER, restaurantId) ? exportSession() : null;
+    if (!auth) {
+        throw new Error(`AUTH_MODE=jwt: setup login as ${SETUP_USER.mobile} returned no token`);
+    }
+    console.log(`Auth: logged in as ${SETUP_USER.mobile} for setup and VUs without their own login`);
+    return auth;
+}
+
+/**
+ * Order payload from the menu (static sample items when the menu is empty)
+ * @param {object} orderOptions - paymentType, orderType, addressId (see generateOrderDto)
+ */
+export function buildOrderPayload(restaurantId, customerId, menuData, orderOptions = {}) {
+    return menuData && menuData.items && menuData.items.length > 0
+        ? generateDynamicOrderDto(restaurantId, customerId, menuData, orderOptions)
+        : generateOrderDto(restaurantId, customerId, orderOptions);
+}
+
+/**
+ * Create an order from the menu (see buildOrderPayload)
+ * @returns {string|null} Order ID
+ */
+export function createOrder(restaurantId, customerId, menuData, orderOptions = {}) {
+    const payload = buildOrderPayload(restaurantId, customerId, menuData, orderOptions);
+
+    const res = apiPost(ENDPOINTS.ORDER_CREATE, payload, { schema: 'ORDER_CREATE' });
+    const orderId = res.status === 200 ? extractId(res) : null;
+
+    check(res, {
+        'Order created': (r) => r.status === 200,
+        'Order ID received': () => !!orderId,
+    });
+    return orderId;
+}
+
+/**
+ * Create the online payment of an order (leaves it pending until verify or a webhook)
+ * @returns {string|null} Razorpay order ID (paymentOrderId)
+ */
+export function createPayment(orderId) {
+    const res = apiPost(ENDPOINTS.PAYMENT_CREATE(orderId), {}, { schema: 'PAYMENT_CREATE' });
+    if (!check(res, { 'Payment created': (r) => r.status === 200 })) {
+        return null;
+    }
+    return extractPaymentOrderId(res);
+}
+
+/**
+ * Create and verify the online payment of an order
+ * @returns {boolean} Payment verified
+ */
+export function payOrder(orderId) {
+    const paymentOrderId = createPayment(orderId);
+    if (!paymentOrderId) {
+        return false;
+    }
+
+    const verifyPayload = generatePaymentVerifyDto();
+    verifyPayload.razorpayOrderId = paymentOrderId;
+    const res = apiPost(ENDPOINTS.PAYMENT_VERIFY(orderId), verifyPayload, { schema: 'PAYMENT_VERIFY' });
+
+    return check(res, { 'Payment verified': (r) => r.status === 200 });
+}
+
+/**
+ * Send a PetPooja POS status callback (ACCEPTED, READY_FOR_DELIVERY, CANCELLED, ...)
+ * @returns {object} k6 response
+ */
+export function posUpdate(menuSharingCode, orderId, status, options = {}) {
+    const payload = generateOrderStatusUpdate(menuSharingCode, orderId, status, options);
+    return apiPost(ENDPOINTS.POS_ORDER_UPDATE, payload);
+}
+
+/**
+ * Fetch an order
+ * @returns {object|null} Order record (status, ...)
+ */
+export function fetchOrder(orderId) {
+    const res = apiGet(ENDPOINTS.ORDER_GET(orderId), { schema: 'ORDER_GET' });
+    return res.status === 200 ? firstData(res) : null;
+}
+
+/**
+ * Poll an order until it reaches one of the given statuses
+ * @param {Array<string>} statuses - Accepted statuses
+ * @returns {{ order: object|null, reached: boolean, elapsedMs: number }}
+ */
+export function waitForOrderStatus(orderId, statuses, timeoutMs = 10000, intervalMs = 1000) {
+    const start = Date.now();
+    let order = fetchOrder(orderId);
+
+    while (!(order && statuses.includes(order.status)) && Date.now() - start < timeoutMs) {
+        sleep(intervalMs / 1000);
+        order = fetchOrder(orderId);
+    }
+
+    return { order, reached: !!order && statuses.includes(order.status), elapsedMs: Date.now() - start };
+}
+
+/**
+ * Position of an order status in the lifecycle (-1 when unknown)
+ * A lower rank than one seen before means the order moved backwards
+ */
+export function statusRank(status) {
+    return STATUS_ORDER.indexOf(status);
+}
+
+/**
+ * How often an order's status history records a status
+ * @returns {number|null} Entries with that status, null when the record has no history
+ */
+export function statusTransitions(order, status) {
+    const history = order && (order.statusHistory || order.statusLogs);
+    if (!Array.isArray(history)) {
+        return null;
+    }
+    return history.filter((entry) => (entry.status || entry) === status).length;
+}
+
+/**
+ * How often an order was paid: captured payment records (GET /payment?orderId_eq=),
+ * or PAID entries in its status history when the payments cannot be listed
+ * @param {object} order - Order record (for the status history fallback)
+ * @returns {number|null} Captures, null when neither source can be read (unverified)
+ */
+export function paymentCaptures(orderId, order) {
+    const res = apiGet(ENDPOINTS.PAYMENT_STATUS(orderId));
+    let payments = null;
+    if (res.status === 200) {
+        try {
+            payments = JSON.parse(res.body).data;
+        } catch (e) {
+            payments = null;
+        }
+    }
+
+    if (!Array.isArray(payments)) {
+        return statusTransitions(order, ORDER_LIFECYCLE.PAID);
+    }
+    return payments.filter((p) => CAPTURED_PAYMENT_STATUSES.includes(String(p.status || '').toUpperCase())).length;
+}
+
+/**
+ * Fetch the delivery record of an order
+ * @returns {{ deliveryOrderId, channelOrderId, status, record }|null}
+ */
+export function fetchDelivery(orderId) {
+    const res = apiGet(ENDPOINTS.DELIVERY_STATUS(orderId), { schema: 'DELIVERY_STATUS' });
+    const record = res.status === 200 ? firstData(res) : null;
+
+    if (!record || !(record.id || record._id)) {
+        return null;
+    }
+    return {
+        deliveryOrderId: record.id || record._id,
+        channelOrderId: record.fulfillment?.channel?.order_id,
+        status: record.status,
+        record,
+    };
+}
+
+// Rider id in a tracking response (ORDER_TRACK / DELIVERY_RIDER_LOCATION), null when none
+function trackedRiderId(res) {
+    const data = res.status === 200 ? firstData(res) : null;
+    const id = data && (data.rider?.id ?? data.riderId ?? data.rider_id ?? data.fulfillment?.rider?.id);
+    return id !== undefined && id !== null ? String(id) : null;
+}
+
+/**
+ * Poll ORDER_TRACK and DELIVERY_RIDER_LOCATION until both report the given rider
+ * @param {string|null} riderId - Current rider, null when none is assigned
+ *                                (the rider location may then answer 404)
+ * @returns {{ track: boolean, location: boolean, elapsedMs: number }} Which endpoint showed the rider
+ */
+export function waitForTrackedRider(orderId, riderId, timeoutMs = 10000, intervalMs = 1000) {
+    const start = Date.now();
+    const expected = riderId === null ? null : String(riderId);
+
+    const read = () => {
+        const track = apiGet(ENDPOINTS.ORDER_TRACK(orderId));
+        const location = apiGet(ENDPOINTS.DELIVERY_RIDER_LOCATION(orderId));
+        return {
+            track: track.status === 200 && trackedRiderId(track) === expected,
+            location: location.status === 200
+                ? trackedRiderId(location) === expected
+                : expected === null && location.status === 404,
+        };
+    };
+
+    let seen = read();
+    while (!(seen.track && seen.location) && Date.now() - start < timeoutMs) {
+        sleep(intervalMs / 1000);
+        seen = read();
+    }
+
+    return { ...seen, elapsedMs: Date.now() - start };
+}
+
+/**
+ * Build the delivery partner callbacks of an order without sending them
+ * Payloads are generated in the given order (timestamps and accumulated logs
+ * as the partner would produce them), so they can be delivered in any order.
+ * @param {Array<string>} statuses - Fulfillment statuses, in the order they happen
+ * @param {object} options - codAmount for COD orders (see generateDeliveryCallback)
+ * @returns {Array<{ status: string, payload: object }>}
+ */
+export function buildDeliveryCallbacks(orderId, delivery, statuses, options = {}) {
+    const channelOrderId = delivery.channelOrderId || String(Math.floor(100000 + Math.random() * 900000));
+    const baseTime = new Date();
+    let logs = [];
+
+    return statuses.map((status) => {
+        const callback = generateDeliveryCallback(
+            orderId,
+            delivery.deliveryOrderId,
+            channelOrderId,
+            status,
+            logs,
+            baseTime,
+            DELIVERY_STATUS_OFFSETS[status] || 0,
+            options
+        );
+        logs = callback.logs;
+        return { status, payload: callback.payload };
+    });
+}
+
+/**
+ * Send delivery partner callbacks for an order, in order, accumulating the logs
+ * @param {Array<string>} statuses - Fulfillment statuses (e.g. a DELIVERY_SEQUENCE_PROFILES entry)
+ * @param {object} options - codAmount for COD orders (see generateDeliveryCallback),
+ *                           repeat: deliveries of each callback (default 1),
+ *                           onStatus(status, responses): called once the callbacks of a status were sent
+ * @returns {boolean} Every callback accepted (repeats: handled without a 5xx)
+ */
+export function sendDeliveryCallbacks(orderId, delivery, statuses, options = {}) {
+    // Use fetched channelOrderId or generate fallback
+    const channelOrderId = delivery.channelOrderId || String(Math.floor(100000 + Math.random() * 900000));
+    const baseTime = new Date();
+    let logs = [];
+    let allSuccess = true;
+
+    for (const status of statuses) {
+        const { payload, logs: updatedLogs } = generateDeliveryCallback(
+            orderId,
+            delivery.deliveryOrderId,
+            channelOrderId,
+            status,
+            logs,
+            baseTime,
+            DELIVERY_STATUS_OFFSETS[status] || 0,
+            options
+        );
+
+        // Redeliveries send the identical payload
+        const responses = [];
+        let accepted = true;
+        for (let i = 0; i < (options.repeat || 1); i++) {
+            const res = apiPost(ENDPOINTS.DELIVERY_CALLBACK, payload);
+            // A redelivery may be answered as a no-op or a conflict, but never as a server error
+            accepted = (i === 0
+                ? check(res, { [`Delivery ${status}`]: (r) => r.status === 200 })
+                : check(res, { [`Repeated delivery ${status} handled`]: (r) => r.status > 0 && r.status < 500 })) && accepted;
+            responses.push(res);
+        }
+
+        if (accepted) {
+            logs = updatedLogs;
+        } else {
+            allSuccess = false;
+        }
+        if (options.onStatus) {
+            options.onStatus(status, responses);
+        }
+        sleep(randomSleep(50, 150));
+    }
+
+    return allSuccess;
+}
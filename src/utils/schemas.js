@@ -0,0 +1,179 @@
+/**
+ * K6 Response Schemas
+ * HYP Backend API - v2 response envelopes
+ *
+ * Schema registry keyed by ENDPOINTS names (see config.js). Uses a small
+ * JSON-Schema-like subset: type, required, properties, items.
+ *
+ * Usage:
+ *   apiPost(ENDPOINTS.ORDER_CREATE, payload, { schema: 'ORDER_CREATE' });
+ *   // or
+ *   validateResponse(res, 'ORDER_CREATE');
+ *
+ * Violations are counted in `schema_violations{endpoint:<ENDPOINTS key>}`.
+ */
+
+import { Counter } from 'k6/metrics';
+
+const schemaViolations = new Counter('schema_violations');
+
+// Only the first few array items are validated to keep the cost low under load
+const MAX_ITEMS_VALIDATED = 5;
+
+// ============================================
+// SCHEMA BUILDING BLOCKS
+// ============================================
+
+const ID = { type: ['string', 'number'] };
+const STRING = { type: 'string' };
+const NUMERIC = { type: ['number', 'string'] };
+
+// API v2 envelope: { error: false, data: ... }
+function envelope(data) {
+    return {
+        type: 'object',
+        required: ['error', 'data'],
+        properties: {
+            error: { type: 'boolean' },
+            data: data,
+        },
+    };
+}
+
+function arrayOf(item) {
+    return { type: 'array', items: item };
+}
+
+function objectWith(required, properties = {}) {
+    return { type: 'object', required, properties };
+}
+
+const ORDER = objectWith(['id', 'status'], { id: ID, status: STRING });
+const DELIVERY = objectWith(['id', 'status'], { id: ID, status: STRING });
+
+// ============================================
+// SCHEMA REGISTRY (keyed by ENDPOINTS names)
+// ============================================
+
+export const SCHEMAS = {
+    // Login
+    LOGIN_VERIFY: envelope(arrayOf(objectWith(['id'], { id: ID }))),
+
+    // Restaurant
+    RESTAURANT_LIST: envelope(arrayOf(objectWith(['id'], { id: ID }))),
+    RESTAURANT_GET: envelope(arrayOf(objectWith(['id'], { id: ID, menuSharingCode: NUMERIC }))),
+
+    // Menu
+    MENU_CATEGORY: envelope(arrayOf(objectWith(['id', 'items'], {
+        id: ID,
+        name: STRING,
+        items: arrayOf(objectWith(['id', 'price'], { id: ID, price: NUMERIC })),
+    }))),
+    CATEGORY_LIST: envelope(arrayOf(objectWith(['id'], { id: ID }))),
+
+    // Order
+    ORDER_LIST: envelope(arrayOf(ORDER)),
+    ORDER_LIST_BY_STATUS: envelope(arrayOf(ORDER)),
+    ORDER_CREATE: envelope(arrayOf(objectWith(['id'], { id: ID }))),
+    ORDER_GET: envelope(arrayOf(ORDER)),
+
+    // Payment
+    PAYMENT_CREATE: envelope(arrayOf(objectWith(['paymentOrderId'], { paymentOrderId: STRING }))),
+    PAYMENT_VERIFY: objectWith(['error'], { error: { type: 'boolean' } }),
+
+    // Delivery
+    DELIVERY_STATUS: envelope(arrayOf(DELIVERY)),
+
+    // Address
+    ADDRESS_LIST: envelope(arrayOf(objectWith(['id'], { id: ID }))),
+    ADDRESS_CREATE: envelope(objectWith(['id'], { id: ID })),
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function validateValue(value, schema, path, errors) {
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const actual = typeOf(value);
+        if (!types.includes(actual)) {
+            errors.push(`${path}: expected ${types.join('|')}, got ${actual}`);
+            return;
+        }
+    }
+
+    if (schema.required) {
+        for (const key of schema.required) {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${path}.${key}: missing`);
+            }
+        }
+    }
+
+    if (schema.properties) {
+        for (const [key, propSchema] of Object.entries(schema.properties)) {
+            if (value[key] !== undefined && value[key] !== null) {
+                validateValue(value[key], propSchema, `${path}.${key}`, errors);
+            }
+        }
+    }
+
+    if (schema.items && Array.isArray(value)) {
+        value.slice(0, MAX_ITEMS_VALIDATED).forEach((item, i) => {
+            validateValue(item, schema.items, `${path}[${i}]`, errors);
+        });
+    }
+}
+
+/**
+ * Validate a parsed value against a schema
+ * @returns {Array<string>} List of violations (empty when valid)
+ */
+export function validateSchema(value, schema) {
+    const errors = [];
+    validateValue(value, schema, '$', errors);
+    return errors;
+}
+
+// Endpoints that already logged a violation in this VU (log once, count always)
+const loggedEndpoints = new Set();
+
+/**
+ * Validate a response body against the registered schema for an endpoint
+ * Records schema_violations{endpoint} and returns { valid, errors }
+ *
+ * @param {object} res - k6 response
+ * @param {string} endpointKey - ENDPOINTS key, e.g. 'ORDER_CREATE'
+ */
+export function validateResponse(res, endpointKey) {
+    const schema = SCHEMAS[endpointKey];
+    if (!schema) {
+        console.warn(`No schema registered for ${endpointKey}`);
+        return { valid: true, errors: [] };
+    }
+
+    let errors;
+    try {
+        errors = validateSchema(JSON.parse(res.body), schema);
+    } catch (e) {
+        errors = ['$: invalid JSON'];
+    }
+
+    if (errors.length > 0) {
+        schemaViolations.add(1, { endpoint: endpointKey });
+
+        if (!loggedEndpoints.has(endpointKey)) {
+            loggedEndpoints.add(endpointKey);
+            console.warn(`Schema violation on ${endpointKey}: ${errors.slice(0, 3).join('; ')}`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
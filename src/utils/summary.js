@@ -0,0 +1,228 @@
+/**
+ * K6 Summary Helpers
+ * HYP Backend API - Sections appended to the end-of-test summary
+ *
+ * handleSummary() only sees aggregated results, not VU state. Failed requests
+ * are therefore logged with their request id as they happen (see recordFailure)
+ * and counted in failed_checks{name,status}, which the catalog reads back.
+ */
+
+import { Counter } from 'k6/metrics';
+import { CONFIG, formatDuration } from '../config.js';
+
+// Failed checks on responses (tagged with endpoint name and status)
+const failedChecks = new Counter('failed_checks');
+
+// Failures logged by this VU (module state is per VU)
+let loggedFailures = 0;
+
+// Keep a log line on one line
+function oneLine(value) {
+    return String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Record a failed request in the failure catalog
+ * Every failure is counted; the first CONFIG.FAILURE_CATALOG_PER_VU per VU are
+ * also logged as "FAILURE <request id> <status> <endpoint> <body>" lines.
+ *
+ * @param {string} requestId - X-Request-Id sent with the request
+ * @param {string} endpoint - Normalized endpoint name (e.g. post_/order)
+ * @param {number} status - HTTP status (0 = timeout / connection error)
+ * @param {string} body - Response body (truncated to CONFIG.FAILURE_BODY_LENGTH)
+ */
+export function recordFailure(requestId, endpoint, status, body) {
+    failedChecks.add(1, { name: endpoint, status: String(status) });
+
+    if (loggedFailures >= CONFIG.FAILURE_CATALOG_PER_VU) {
+        return;
+    }
+    loggedFailures++;
+
+    const excerpt = oneLine(String(body || '').substring(0, CONFIG.FAILURE_BODY_LENGTH)) || '-';
+    console.warn(`FAILURE ${requestId || '-'} ${status} ${endpoint} ${excerpt}`);
+}
+
+// Statuses the failure catalog breaks out (failed checks on other statuses are summed up as "other")
+export const FAILURE_STATUSES = ['0', '200', '201', '400', '401', '403', '404', '409', '422', '429', '500', '502', '503', '504'];
+
+// Failed checks per value of a tag, largest first (submetrics from failureThresholds in helpers.js)
+function failuresBy(data, tag, total) {
+    const prefix = `failed_checks{${tag}:`;
+    const rows = Object.keys(data.metrics)
+        .filter((key) => key.startsWith(prefix))
+        .map((key) => ({ value: key.slice(prefix.length, -1), total: count(data.metrics[key]) }))
+        .filter((row) => row.total > 0)
+        .sort((a, b) => b.total - a.total);
+
+    const other = total - rows.reduce((sum, row) => sum + row.total, 0);
+    if (other > 0) {
+        rows.push({ value: 'other', total: other });
+    }
+    return rows.map((row) => `       ${row.value.padEnd(40)} ${row.total}`);
+}
+
+/**
+ * Format the failure catalog for handleSummary
+ * Failed checks per endpoint and per status; the request ids and bodies are in
+ * the FAILURE lines of the k6 log (run-tests.sh lists the first ones after the summary)
+ */
+export function failureCatalog(data) {
+    const failed = data.metrics.failed_checks;
+    const lines = ['', '', '     FAILURE CATALOG'];
+
+    if (CONFIG.RUN_ID) {
+        lines.push(`     Run: ${CONFIG.RUN_ID}`);
+    }
+
+    const total = count(failed);
+    if (!total) {
+        lines.push('     No failed checks recorded');
+        return lines.join('\n') + '\n';
+    }
+
+    lines.push(`     ${total} failed checks`);
+    lines.push('     By endpoint:', ...failuresBy(data, 'name', total));
+    lines.push('     By status:', ...failuresBy(data, 'status', total));
+    lines.push(`     Request ids and bodies: FAILURE lines of the log (first ${CONFIG.FAILURE_CATALOG_PER_VU} per VU, ` +
+        'listed after the summary by run-tests.sh)');
+
+    return lines.join('\n') + '\n';
+}
+
+// Guard thresholds that failed (abortOnFail ends the run when they do)
+function failedGuardThresholds(data) {
+    const failed = [];
+    for (const metric of ['guard_error_rate', 'guard_timeout_rate']) {
+        const thresholds = (data.metrics[metric] && data.metrics[metric].thresholds) || {};
+        for (const [threshold, result] of Object.entries(thresholds)) {
+            if (!result.ok) {
+                failed.push(`${metric} ${threshold}`);
+            }
+        }
+    }
+    return failed;
+}
+
+/**
+ * Format the breaking point for handleSummary (tests using the collapse guard)
+ * The live detection wins; otherwise a failed guard threshold is
+ * reported with the VU level and duration at the end of the run
+ */
+export function breakingPoint(data) {
+    const lines = ['', '', '     BREAKING POINT'];
+    const collapse = data.metrics.collapse_elapsed;
+    const failedThresholds = failedGuardThresholds(data);
+    const vus = data.metrics.vus ? data.metrics.vus.values : null;
+
+    if (collapse && collapse.values) {
+        // Gauges set by the VU that detected the collapse (see collapse-guard.js)
+        const share = (name) => Math.round(data.metrics[name].values.value * 100);
+        lines.push(`     Collapse at ${data.metrics.collapse_vus.values.value} VUs ` +
+            `after ${formatDuration(collapse.values.value / 1000)}`);
+        lines.push(`     Live guard: ${share('collapse_error_share')}% errors, ` +
+            `${share('collapse_timeout_share')}% timeouts over recent responses`);
+    } else if (failedThresholds.length > 0) {
+        const elapsed = formatDuration(data.state.testRunDurationMs / 1000);
+        lines.push(`     Collapse at ~${vus ? vus.value : '?'} VUs after ${elapsed}`);
+        lines.push(`     Threshold breached: ${failedThresholds.join(', ')}`);
+    } else {
+        lines.push(`     No collapse detected${vus ? ` (peak ${vus.max} VUs)` : ''}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Tag selectors for every value of a tag (e.g. ['pattern:shuffled', ...])
+ */
+export function tagSelectors(tag, values) {
+    return values.map((value) => `${tag}:${value}`);
+}
+
+/**
+ * Always-passing thresholds on tagged submetrics (k6 only reports tagged
+ * submetrics that a threshold refers to). Trends need 'count' in
+ * summaryTrendStats for the reports to spot submetrics without samples.
+ *
+ * @param {object} metrics - Metric name → aggregation ('rate' | 'max' | 'count')
+ * @param {Array<string>} selectors - Tag selectors (e.g. 'case:double_verify,attempt:first')
+ */
+export function submetricThresholds(metrics, selectors) {
+    const thresholds = {};
+    for (const selector of selectors) {
+        for (const [metric, aggregation] of Object.entries(metrics)) {
+            thresholds[`${metric}{${selector}}`] = [`${aggregation}>=0`];
+        }
+    }
+    return thresholds;
+}
+
+/**
+ * Always-passing thresholds on the per-value submetrics of a breakdown
+ *
+ * @param {object} breakdown - { tag, values, rate, trend }: tag name, its values,
+ *                             success Rate and duration Trend metric names
+ */
+export function breakdownThresholds(breakdown) {
+    return submetricThresholds({ [breakdown.rate]: 'rate', [breakdown.trend]: 'max' },
+        tagSelectors(breakdown.tag, breakdown.values));
+}
+
+/**
+ * Submetric of a metric for a tag selector, as handleSummary sees it
+ */
+export function submetric(data, metric, selector) {
+    return data.metrics[`${metric}{${selector}}`];
+}
+
+// Report cells for a submetric that may be missing or have no samples
+export function percent(metric, digits = 1) {
+    return metric && metric.values ? `${(metric.values.rate * 100).toFixed(digits)}%` : '-';
+}
+
+export function count(metric) {
+    return metric && metric.values ? metric.values.count : 0;
+}
+
+export function p95(metric) {
+    return metric && metric.values && metric.values.count ? `${Math.round(metric.values['p(95)'])}ms` : '-';
+}
+
+/**
+ * Report line with the violations per kind, or the all-clear message
+ *
+ * @param {string} metric - Violation Counter tagged with kind
+ * @param {Array<string>} kinds - Tag values of kind
+ * @param {string} clean - Message when no violation was counted
+ */
+export function violationsLine(data, metric, kinds, clean) {
+    const byKind = kinds
+        .map((kind) => ({ kind, total: count(submetric(data, metric, `kind:${kind}`)) }))
+        .filter((v) => v.total > 0);
+    return byKind.length === 0
+        ? `     ${clean}`
+        : `     Violations: ${byKind.map((v) => `${v.kind} ${v.total}`).join(', ')}`;
+}
+
+/**
+ * Format success rate and p95 duration per tag value for handleSummary
+ * @param {string} title - Section title (e.g. 'PAYMENT TYPES (success / p95 lifecycle)')
+ * @param {object} breakdown - See breakdownThresholds
+ */
+export function breakdownReport(data, title, breakdown) {
+    const lines = ['', '', `     ${title}`];
+
+    for (const value of breakdown.values) {
+        const success = submetric(data, breakdown.rate, `${breakdown.tag}:${value}`);
+        const duration = submetric(data, breakdown.trend, `${breakdown.tag}:${value}`);
+
+        if (!success || !success.values || !duration || !duration.values.count) {
+            lines.push(`     ${value.padEnd(12)} no orders`);
+            continue;
+        }
+        lines.push(`     ${value.padEnd(12)} ${percent(success)} / ${p95(duration)}  (${duration.values.count} orders)`);
+    }
+
+    return lines.join('\n') + '\n';
+}